@@ -0,0 +1,98 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/* jshint undef: false */
+var FRAME_BUDGET = 16;
+var RUNS = 10;
+
+function getItemCount() {
+	'use strict';
+
+	var match = /[?&]items=(\d+)/.exec(window.location.search);
+	return match ? parseInt(match[1], 10) : 2000;
+}
+
+function createItems(container, itemCount) {
+	'use strict';
+
+	for(var i = 0; i < itemCount; i++) {
+		var element = document.createElement('div');
+		element.className = 'benchmark-item dpad-focusable';
+		element.setAttribute('tabindex', '0');
+		container.appendChild(element);
+	}
+
+	return container.querySelectorAll('.dpad-focusable');
+}
+
+function getMedian(values) {
+	'use strict';
+
+	var sorted = values.slice().sort(function(a, b) {
+		return a - b;
+	});
+	return sorted[Math.floor(sorted.length / 2)];
+}
+
+function describeTiming(name, timings) {
+	'use strict';
+
+	var median = getMedian(timings);
+	var verdict = median <= FRAME_BUDGET ? 'within' : 'over';
+	return 'Median ' + name + ': ' + median.toFixed(2) + 'ms (' +
+		Math.round((median / FRAME_BUDGET) * 100) + '% of the frame budget, ' +
+		verdict + ')\n' +
+		'Fastest ' + name + ': ' + Math.min.apply(Math, timings).toFixed(2) + 'ms\n';
+}
+
+window.addEventListener('load', function() {
+	'use strict';
+
+	var itemCount = getItemCount();
+	var elements = createItems(document.querySelector('.benchmark-grid'), itemCount);
+
+	var focusController = new FocusController();
+	for(var i = 0; i < elements.length; i++) {
+		focusController.addFocusableItem(new GenericFocusableItem(elements[i]));
+	}
+
+	var buildTimings = [];
+	var searchTimings = [];
+	var run;
+	var start;
+	for(run = 0; run < RUNS; run++) {
+		start = window.performance.now();
+		focusController.updateFocusGraph();
+		buildTimings.push(window.performance.now() - start);
+	}
+
+	// Rebuilding the edges from the metrics cached by the last build
+	// times the neighbour search without any layout
+	for(run = 0; run < RUNS; run++) {
+		start = window.performance.now();
+		for(var j = 0; j < itemCount; j++) {
+			focusController.updateNodeEdges(focusController.getFocusableItem(j));
+		}
+		searchTimings.push(window.performance.now() - start);
+	}
+
+	focusController.setCurrentFocusItem(0);
+
+	document.querySelector('.results').textContent =
+		'Items: ' + itemCount + '\n' +
+		'Runs: ' + RUNS + '\n' +
+		'Frame budget: ' + FRAME_BUDGET + 'ms\n' +
+		describeTiming('build', buildTimings) +
+		describeTiming('neighbour search', searchTimings);
+}, true);
@@ -17,14 +17,83 @@
  * a key press or mouse movement has occurred
  *
  * @constructor
+ * @param {Object} options Optional settings, root, the element the
+ * controller navigates inside, and active, true to make it the active
+ * controller or false to leave it inactive. By default it becomes
+ * active when no other controller is.
  */
-function FocusController() {
+function FocusController(options) {
     'use strict';
 
+    options = options || {};
+
+    var rootElement = options.root || document.documentElement;
+    var destroyed = false;
+    var listeners = [];
+    var focusHandlers = {};
+    var debugLines = [];
     var debugMode = false;
     var focusableItems = [];
     var moving = false;
     var currentlyFocusedItem = null;
+    var sections = [];
+    var layers = [];
+    var observer = null;
+    var pendingMutations = [];
+    var focusGraphBuilt = false;
+    var spatialIndex = new SpatialIndex();
+    var itemMetricsCache = {};
+    var wrapMode = FocusController.WRAP_NONE;
+    var scoringStrategy = ScoringStrategies.NEAREST_EDGE;
+    var offAxisWeights = {
+        top: FocusController.DEFAULT_OFF_AXIS_WEIGHTS.top,
+        bottom: FocusController.DEFAULT_OFF_AXIS_WEIGHTS.bottom,
+        left: FocusController.DEFAULT_OFF_AXIS_WEIGHTS.left,
+        right: FocusController.DEFAULT_OFF_AXIS_WEIGHTS.right
+    };
+    var vectorOffAxisWeight = FocusController.DEFAULT_VECTOR_OFF_AXIS_WEIGHT;
+    var scrollOptions = {
+        mode: FocusController.SCROLL_NEAREST,
+        offset: 0,
+        smooth: false
+    };
+    var edgeHandler = null;
+    var keyMap = new KeyMap();
+    var repeatOptions = {
+        delay: FocusController.DEFAULT_REPEAT_DELAY,
+        interval: FocusController.DEFAULT_REPEAT_INTERVAL,
+        minInterval: FocusController.DEFAULT_REPEAT_INTERVAL,
+        acceleration: 1
+    };
+    var heldDirection = null;
+    var movingStartTime = 0;
+    var lastMovingActivity = 0;
+    var movingTimer = null;
+    var runningTransitions = [];
+    var focusHistory = [];
+    var pressOptions = {
+        longPressDuration: FocusController.DEFAULT_LONG_PRESS_DURATION,
+        doublePressInterval: FocusController.DEFAULT_DOUBLE_PRESS_INTERVAL
+    };
+    var selectPress = null;
+    var lastSelectRelease = null;
+    var inputMode = null;
+    var lastPointerPosition = null;
+    var lastPointerTarget = null;
+    var initialFocusStrategy = FocusController.INITIAL_FIRST;
+    var focusableCache = null;
+    var focusableCacheDepth = 0;
+    var focusablePredicate = null;
+    var controlModes = {};
+    var editingElement = null;
+
+    for(var controlType in FocusController.DEFAULT_CONTROL_MODES) {
+        if(FocusController.DEFAULT_CONTROL_MODES.hasOwnProperty(controlType)) {
+            controlModes[controlType] = FocusController.DEFAULT_CONTROL_MODES[controlType];
+        }
+    }
+    var pendingMove = null;
+    var resumeScheduled = false;
 
     /**
     * Check whether a focusable item is already in the item array
@@ -47,9 +116,32 @@ function FocusController() {
     */
     this.pushFocusableItem = function (item) {
         focusableItems.push(item);
-        item.getElement().addEventListener('focus', function() {
+        item.setSection(this.getSectionForElement(item.getElement()));
+
+        var onFocus = function() {
             currentlyFocusedItem = item;
-        }, false);
+            if(item.getSection() !== null) {
+                item.getSection().setLastFocusedItem(item);
+            }
+        };
+        focusHandlers[item.getId()] = onFocus;
+        item.getElement().addEventListener('focus', onFocus, false);
+
+        // New items may be the content a pending move is waiting for
+        if(pendingMove !== null && !resumeScheduled) {
+            resumeScheduled = true;
+            var resume = function() {
+                resumeScheduled = false;
+                this.resumePendingMove();
+            }.bind(this);
+
+            if(window.requestAnimationFrame) {
+                window.requestAnimationFrame(resume);
+            } else {
+                setTimeout(resume, 0);
+            }
+        }
+
         return focusableItems.length - 1;
     };
 
@@ -61,6 +153,35 @@ function FocusController() {
         for(var i = 0; i < focusableItems.length; i++) {
             if(focusableItems[i] === item) {
                 focusableItems.splice(i, 1);
+                this.removeFocusHandler(item);
+                spatialIndex.remove(item);
+                delete itemMetricsCache[item.getId()];
+                if(currentlyFocusedItem === item) {
+                    currentlyFocusedItem = null;
+                }
+
+                if(item.getSection() !== null &&
+                    item.getSection().getLastFocusedItem() === item) {
+                    item.getSection().setLastFocusedItem(null);
+                }
+
+                // Make sure no remaining item still points at the
+                // removed one
+                for(var j = 0; j < focusableItems.length; j++) {
+                    if(!this.isNeighbourOf(focusableItems[j], item)) {
+                        continue;
+                    }
+
+                    if(focusGraphBuilt) {
+                        this.updateNodeEdges(focusableItems[j]);
+                    } else {
+                        focusableItems[j].resetFocusableItems();
+                    }
+                }
+
+                if(focusGraphBuilt && this.isDebugMode()) {
+                    this.printAllDebugLines();
+                }
                 return true;
             }
         }
@@ -72,7 +193,145 @@ function FocusController() {
      * array
      */
     this.removeAllFocusableItems = function() {
+        for(var i = 0; i < focusableItems.length; i++) {
+            this.removeFocusHandler(focusableItems[i]);
+            if(focusableItems[i].getSection() !== null &&
+                focusableItems[i].getSection().getLastFocusedItem() === focusableItems[i]) {
+                focusableItems[i].getSection().setLastFocusedItem(null);
+            }
+        }
         focusableItems = [];
+        currentlyFocusedItem = null;
+        focusGraphBuilt = false;
+        spatialIndex.clear();
+        itemMetricsCache = {};
+    };
+
+    /**
+    * Start remembering which elements are focusable, so building the
+    * graph only reads the style and size of each element once. Calls
+    * can be nested, the cache is kept until the outermost one stops.
+    */
+    this.startFocusableCache = function () {
+        if(focusableCacheDepth === 0 && typeof WeakMap !== 'undefined') {
+            focusableCache = {
+                elements: new WeakMap(),
+                containers: new WeakMap()
+            };
+        }
+        focusableCacheDepth++;
+    };
+
+    /**
+    * Stop remembering which elements are focusable
+    */
+    this.stopFocusableCache = function () {
+        focusableCacheDepth = Math.max(0, focusableCacheDepth - 1);
+        if(focusableCacheDepth === 0) {
+            focusableCache = null;
+        }
+    };
+
+    /**
+    * Get the focusable results and container states remembered since
+    * the cache was started, or null if it isn't running
+    */
+    this.getFocusableCache = function () {
+        return focusableCache;
+    };
+
+    /**
+    * Get the app supplied check elements have to pass to be focusable
+    */
+    this.getFocusablePredicate = function () {
+        return focusablePredicate;
+    };
+
+    /**
+    * Set a check elements have to pass to be focusable, on top of the
+    * built in visibility and interactivity checks
+    * @param {Function} predicate Called with the element, returns false
+    * to leave it out of navigation, or null to remove the check
+    */
+    this.setFocusablePredicate = function (predicate) {
+        focusablePredicate = predicate;
+    };
+
+    /**
+    * Stop tracking focus on an item's element
+    * @private
+    * @param {FocusableItem} item
+    */
+    this.removeFocusHandler = function (item) {
+        var id = item.getId();
+        if(focusHandlers.hasOwnProperty(id)) {
+            item.getElement().removeEventListener('focus', focusHandlers[id], false);
+            delete focusHandlers[id];
+        }
+    };
+
+    /**
+    * Get the spatial index used to look up the neighbours of an item
+    */
+    this.getSpatialIndex = function () {
+        return spatialIndex;
+    };
+
+    /**
+    * Get the metrics of an item, only measuring the element the first
+    * time they are needed after the cache was cleared
+    * @param {FocusableItem} item
+    */
+    this.getCachedItemMetrics = function (item) {
+        var id = item.getId();
+        if(!itemMetricsCache.hasOwnProperty(id)) {
+            itemMetricsCache[id] = this.getItemMetrics(item.getElement());
+        }
+        return itemMetricsCache[id];
+    };
+
+    /**
+    * Clear the cached metrics of an item, or of every item if no item
+    * is given
+    * @param {FocusableItem} item
+    */
+    this.clearCachedItemMetrics = function (item) {
+        if(item) {
+            delete itemMetricsCache[item.getId()];
+        } else {
+            itemMetricsCache = {};
+        }
+    };
+
+    /**
+    * Has the focus graph been built since the items were last reset.
+    * Until it has, adding or removing items won't patch the graph.
+    */
+    this.isFocusGraphBuilt = function () {
+        return focusGraphBuilt;
+    };
+
+    /**
+    * Mark whether the focus graph has been built
+    * @private
+    * @param {Boolean} isBuilt
+    */
+    this.setFocusGraphBuilt = function (isBuilt) {
+        focusGraphBuilt = isBuilt;
+    };
+
+    /**
+    * Get the focusable item for a DOM element, or null if the element
+    * isn't in the FocusController
+    * @param {DOMElement} element
+    */
+    this.getFocusableItemForElement = function (element) {
+        for(var i = 0; i < focusableItems.length; i++) {
+            if(focusableItems[i].getElement() === element) {
+                return focusableItems[i];
+            }
+        }
+        return null;
     };
 
     /**
@@ -95,584 +354,3518 @@ function FocusController() {
     };
 
     /**
-    * Get the currently focused FocusableItem
+    * Add a section to the controller. Any items inside the section's
+    * element are moved into it.
+    * @param {FocusSection} section
     */
-    this.getCurrentlyFocusedItem = function () {
-        return currentlyFocusedItem;
+    this.addSection = function (section) {
+        var i;
+        for(i = 0; i < sections.length; i++) {
+            if(sections[i].getElement() === section.getElement()) {
+                sections.splice(i, 1);
+                break;
+            }
+        }
+
+        sections.push(section);
+        this.updateItemSections();
     };
 
     /**
-    * Is the focus currently moving
+    * Remove a section from the controller, it's items fall back to
+    * the closest enclosing section
+    * @param {FocusSection} section
     */
-    this.isMoving = function () {
-        return moving;
+    this.removeSection = function (section) {
+        for(var i = 0; i < sections.length; i++) {
+            if(sections[i] === section) {
+                sections.splice(i, 1);
+                this.updateItemSections();
+                return true;
+            }
+        }
+        return false;
     };
 
     /**
-    * This method performs a change of focus to the item index
-    * @param {int} itemIndex
+    * Get the number of sections in the controller
     */
-    this.setCurrentFocusItem = function (itemIndex) {
-        var focusableItem = this.getFocusableItem(itemIndex);
-        currentlyFocusedItem = focusableItem;
-        if(currentlyFocusedItem !== null) {
-            currentlyFocusedItem.getElement().focus();
+    this.getSectionCount = function () {
+        return sections.length;
+    };
+
+    /**
+    * Get the section registered for a container element, or null if
+    * the element isn't a section
+    * @param {DOMElement} element
+    */
+    this.getSectionByElement = function (element) {
+        for(var i = 0; i < sections.length; i++) {
+            if(sections[i].getElement() === element) {
+                return sections[i];
+            }
         }
+        return null;
     };
 
     /**
-    * This will take a direction vector and move the focus to the most
-    * appropriate item or make no change if there are no items to move to
-    * @param {array} direction A direction vector [x, y]
+    * Reassign every item to the closest section enclosing it
+    * @private
     */
-    this.moveFocus = function (direction) {
-        // We need an item to move down from
-        // TODO: Should initialise focus if not initialised...
-        if(!currentlyFocusedItem) {
-            return;
+    this.updateItemSections = function () {
+        for(var i = 0; i < focusableItems.length; i++) {
+            focusableItems[i].setSection(
+                this.getSectionForElement(focusableItems[i].getElement()));
         }
+    };
 
-        var nextItemIndex = null;
-        if(direction.y === 0) {
-            if(direction.x > 0) {
-                // Move Right
-                nextItemIndex = currentlyFocusedItem.getRightFocusItemIndex();
-            } else {
-                // Move Left
-                nextItemIndex = currentlyFocusedItem.getLeftFocusItemIndex();
+    /**
+    * Get the closest section enclosing an element, up to and including
+    * the root. Containers with a data-dpad-section attribute are
+    * registered as sections the first time they are found.
+    * @param {DOMElement} element
+    */
+    this.getSectionForElement = function (element) {
+        var parent = element.parentNode;
+        while(parent && parent.nodeType === 1 && rootElement.contains(parent)) {
+            for(var i = 0; i < sections.length; i++) {
+                if(sections[i].getElement() === parent) {
+                    return sections[i];
+                }
             }
-        } else if(direction.x === 0) {
-            if(direction.y > 0) {
-                // Move Up
-                nextItemIndex = currentlyFocusedItem.getTopFocusItemIndex();
-            } else {
-                // Move Down
-                nextItemIndex = currentlyFocusedItem.getBottomFocusItemIndex();
+
+            if(parent.hasAttribute('data-dpad-section')) {
+                var section = new FocusSection(parent);
+                sections.push(section);
+                return section;
             }
-        }
 
-        if(nextItemIndex !== null) {
-            this.setCurrentFocusItem(nextItemIndex);
+            parent = parent.parentNode;
         }
+        return null;
     };
 
     /**
-    * Determine if the focuscontroller is in a debugmode which
-    * is used to determine if debug lines should be drawn or not
+    * Push a layer, such as a modal dialog, onto the layer stack.
+    * Navigation is restricted to the items inside the top most layer
+    * until it is popped.
+    * @param {DOMElement} element The container element of the layer
     */
-    this.isDebugMode = function() {
-        return debugMode;
-    };
+    this.pushLayer = function (element) {
+        layers.push({
+            element: element,
+            previouslyFocusedItem: currentlyFocusedItem
+        });
 
-    this.toggleDebugMode = function() {
-        debugMode = !debugMode;
         this.updateFocusGraph();
+        this.focusActiveLayer();
     };
 
     /**
-    * Calculate the distance from (0,0) to (x,y)
+    * Pop the top most layer off the layer stack and restore focus to
+    * the item which was focused before the layer was pushed
+    * @return {DOMElement} The element of the popped layer or null
     */
-    this.calcDistance = function(x, y) {
-        return Math.floor(Math.sqrt((x * x) + (y * y)));
-    };
+    this.popLayer = function () {
+        if(layers.length === 0) {
+            return null;
+        }
 
-    // Set up binding to listen for key presses
-    document.addEventListener('keydown', function(e) {
-            this.onKeyDown(e);
-        }.bind(this), false);
+        var layer = layers.pop();
+        this.updateFocusGraph();
 
-    document.addEventListener('keyup', function(e) {
-            this.onKeyUp(e);
-        }.bind(this), false);
-}
+        // History recorded inside the layer goes with it
+        focusHistory = focusHistory.filter(function(entry) {
+            return entry.layer !== layer.element;
+        });
 
-/**
-* This method will add a focusable item to the controller
-* @function
-* @param {FocusableItem} item Focusable item to be handled by this
-* FocusController
-*/
-FocusController.prototype.addFocusableItem = function (item) {
-    'use strict';
+        if(layer.previouslyFocusedItem !== null &&
+            this.isFocusableItem(layer.previouslyFocusedItem)) {
+            this.setCurrentFocusItem(layer.previouslyFocusedItem);
+        } else {
+            this.focusActiveLayer();
+        }
 
-    if(this.isFocusableItem(item)) {
-        return;
-    }
+        return layer.element;
+    };
 
-    this.pushFocusableItem(item);
-};
+    /**
+    * Get the element of the top most layer, or null if no layer
+    * has been pushed
+    */
+    this.getActiveLayer = function () {
+        if(layers.length === 0) {
+            return null;
+        }
 
-/**
- * Iterate over the children and set their neighbours up
- * correctly.
- * @function
- **/
-FocusController.prototype.updateFocusGraph = function() {
-    'use strict';
-    this.clearDebugLines();
+        return layers[layers.length - 1].element;
+    };
 
-    var itemCount = this.getFocusableItemCount();
-    
-    for(var i = 0; i < itemCount; i++) {
-        var focusableItem = this.getFocusableItem(i);
-        // If the element can't be focused, skip it.
-        if(!this.isFocusable(focusableItem.getElement())) {
-            continue;
+    /**
+    * Get the focus history, oldest entry first. Each entry has the item
+    * to return to, it's section and the layer it was recorded in.
+    */
+    this.getFocusHistory = function () {
+        return focusHistory;
+    };
+
+    /**
+    * Record an item to return to with the back action, for example
+    * before drilling into a detail view
+    * @param {FocusableItem} item The item to record, the currently
+    * focused item if it isn't given
+    */
+    this.pushFocusHistory = function (item) {
+        item = item || currentlyFocusedItem;
+        if(!item) {
+            return;
         }
 
-        this.updateNodeEdges(i);
+        focusHistory.push({
+            item: item,
+            section: item.getSection(),
+            layer: this.getActiveLayer()
+        });
 
-        if(this.isDebugMode()) {
-            this.printDebugLinesForNode(i, focusableItem);
+        if(focusHistory.length > FocusController.MAX_HISTORY_LENGTH) {
+            focusHistory.shift();
         }
-    }
-};
+    };
 
-FocusController.prototype.clearDebugLines = function() {
-    var debugLines = document.querySelectorAll('.dpad-debug-line');
-    for(var i = 0; i < debugLines.length; i++) {
-        debugLines[i].remove();
-    }
-};
+    /**
+    * Get the newest history entry which can still be focused, dropping
+    * any newer entries which can't, or null if there isn't one
+    */
+    this.getBackEntry = function () {
+        while(focusHistory.length > 0) {
+            var entry = focusHistory[focusHistory.length - 1];
 
-/**
- * For a given element, print it's left, right, up and down neighbours
- * The index is used to select a color for the line.
- * @function
- * @param {int} Index of the element to draw neighbours
- * @param {FocusableItem}  Item to draw neighbours for
- **/
-FocusController.prototype.printDebugLinesForNode = function(index, focusableItem) {
-    'use strict';
+            // Entries from beneath the active layer are kept until it closes
+            if(entry.layer !== this.getActiveLayer()) {
+                return null;
+            }
 
-    var markerColors = [
-        '#1abc9c',
-        '#2ecc71',
-        '#3498db',
-        '#9b59b6',
-        '#34495e',
-        '#f1c40f',
-        '#e67e22',
-        '#e74c3c',
-        '#ecf0f1',
-        '#95a5a6'
-    ];
-    var markerIndex = index % markerColors.length;
-    var markerColor = markerColors[markerIndex];
+            if(this.isFocusableItem(entry.item) && this.isInActiveLayer(entry.item) &&
+                this.isFocusable(entry.item.getElement())) {
+                return entry;
+            }
+            focusHistory.pop();
+        }
+        return null;
+    };
 
-    var currentItemMetrics = this.getItemMetrics(focusableItem.getElement());
+    /**
+    * Remove and return the newest history entry which can still be
+    * focused, or null if there isn't one
+    */
+    this.popFocusHistory = function () {
+        var entry = this.getBackEntry();
+        if(entry !== null) {
+            focusHistory.pop();
+        }
+        return entry;
+    };
 
-    var newItemMetrics, xDist, yDist, angle;
+    /**
+    * Forget the focus history
+    */
+    this.clearFocusHistory = function () {
+        focusHistory = [];
+    };
 
-    if(focusableItem.getTopFocusItemIndex() !== null) {
-        newItemMetrics = this.getItemMetrics(this.getFocusableItem(focusableItem.getTopFocusItemIndex()).getElement());
-        xDist = newItemMetrics.center.x - currentItemMetrics.center.x;
-        yDist = currentItemMetrics.top - newItemMetrics.center.y;
+    /**
+    * Record a move from one section into another. Moving back into a
+    * section which is already in the history unwinds the history to
+    * where that section was left instead, so moving back and forth
+    * doesn't grow it.
+    * @private
+    * @param {FocusableItem} fromItem
+    * @param {FocusableItem} toItem
+    */
+    this.recordSectionChange = function (fromItem, toItem) {
+        if(fromItem.getSection() === toItem.getSection()) {
+            return;
+        }
 
-        angle = ((Math.atan2(xDist, yDist) * 180) / Math.PI) + 180;
+        var activeLayer = this.getActiveLayer();
+        for(var i = focusHistory.length - 1; i >= 0; i--) {
+            if(focusHistory[i].section === toItem.getSection() &&
+                focusHistory[i].layer === activeLayer) {
+                focusHistory.splice(i, focusHistory.length - i);
+                return;
+            }
+        }
 
-        this.printDebugLine(this.calcDistance(xDist, yDist), (currentItemMetrics.center.x-5), currentItemMetrics.top, markerColor, angle);
-    }
+        this.pushFocusHistory(fromItem);
+    };
 
-    if(focusableItem.getBottomFocusItemIndex() !== null) {
-        newItemMetrics = this.getItemMetrics(this.getFocusableItem(focusableItem.getBottomFocusItemIndex()).getElement());
-        xDist = currentItemMetrics.center.x - newItemMetrics.center.x;
-        yDist = newItemMetrics.center.y - currentItemMetrics.bottom;
+    /**
+    * Get the currently focused FocusableItem
+    */
+    this.getCurrentlyFocusedItem = function () {
+        return currentlyFocusedItem;
+    };
 
-        angle = ((Math.atan2(xDist, yDist) * 180) / Math.PI) + 360;
+    /**
+    * Is the focus currently moving, which includes scrolling the new item
+    * into view and any transitions its focus styles start
+    */
+    this.isMoving = function () {
+        return moving;
+    };
 
-        this.printDebugLine(this.calcDistance(xDist, yDist), (currentItemMetrics.center.x+5), currentItemMetrics.bottom, markerColor, angle);
-    }
+    /**
+    * Mark the focus as moving until scrolling and transitions have
+    * settled
+    * @private
+    */
+    this.startMoving = function () {
+        moving = true;
+        movingStartTime = Date.now();
+        lastMovingActivity = movingStartTime;
+        runningTransitions = [];
+
+        if(movingTimer !== null) {
+            clearTimeout(movingTimer);
+        }
 
-    if(focusableItem.getLeftFocusItemIndex() !== null) {
-        newItemMetrics = this.getItemMetrics(this.getFocusableItem(focusableItem.getLeftFocusItemIndex()).getElement());
-        xDist = newItemMetrics.center.x - currentItemMetrics.left;
-        yDist = currentItemMetrics.center.y - newItemMetrics.center.y;
+        var checkSettled = function() {
+            var now = Date.now();
+            var isActive = runningTransitions.length > 0 ||
+                now - lastMovingActivity < FocusController.MOVE_SETTLE_TIME;
+            if(isActive && now - movingStartTime < FocusController.MAX_MOVE_TIME) {
+                movingTimer = setTimeout(checkSettled, FocusController.MOVE_SETTLE_TIME);
+                return;
+            }
 
-        angle = ((Math.atan2(xDist, yDist) * 180) / Math.PI) + 180;
+            movingTimer = null;
+            moving = false;
+            runningTransitions = [];
+        };
+        movingTimer = setTimeout(checkSettled, FocusController.MOVE_SETTLE_TIME);
+    };
+
+    /**
+    * Keep the focus moving while the page scrolls or a transition starts
+    * or ends
+    * @private
+    * @param {Event} event A scroll or transition event
+    */
+    this.onMovingActivity = function (event) {
+        if(!moving || !this.isNavigationContent(event.target)) {
+            return;
+        }
+
+        lastMovingActivity = Date.now();
+        if(event.type === 'scroll') {
+            return;
+        }
+
+        var index = -1;
+        for(var i = 0; i < runningTransitions.length; i++) {
+            if(runningTransitions[i].target === event.target &&
+                runningTransitions[i].propertyName === event.propertyName) {
+                index = i;
+            }
+        }
+
+        if(event.type === 'transitionend' || event.type === 'transitioncancel') {
+            if(index !== -1) {
+                runningTransitions.splice(index, 1);
+            }
+        } else if(index === -1) {
+            runningTransitions.push({
+                target: event.target,
+                propertyName: event.propertyName
+            });
+        }
+    };
+
+    /**
+    * Get how held directions repeat
+    */
+    this.getRepeatOptions = function () {
+        return repeatOptions;
+    };
+
+    /**
+    * Set how held directions repeat. Options which aren't given keep
+    * their current value.
+    * @param {Object} options delay before the first repeat and interval
+    * between repeats in milliseconds, acceleration to multiply the
+    * interval by after each repeat and minInterval to stop accelerating at
+    */
+    this.setRepeatOptions = function (options) {
+        var names = ['delay', 'interval', 'minInterval', 'acceleration'];
+        var newOptions = {};
+        for(var i = 0; i < names.length; i++) {
+            newOptions[names[i]] = (typeof options[names[i]] === 'number') ?
+                options[names[i]] : repeatOptions[names[i]];
+        }
+        repeatOptions = newOptions;
+    };
+
+    /**
+    * Get the direction being held, or null if there isn't one
+    */
+    this.getHeldDirection = function () {
+        return heldDirection === null ? null : heldDirection.vector;
+    };
+
+    /**
+    * Start moving focus in a direction from any input, like an arrow key
+    * or d-pad button being pressed. Focus moves straight away, then
+    * repeats for as long as the direction is held. Repeats are dropped
+    * while focus is still moving and starting the held direction again,
+    * like the auto repeat of a key, is ignored, as is every direction
+    * while the controller isn't active.
+    * @param {Object} direction A direction vector {x, y}, y is up
+    */
+    this.startDirection = function (direction) {
+        if(destroyed || !this.isActive()) {
+            return;
+        }
+
+        if(heldDirection !== null && heldDirection.vector.x === direction.x &&
+            heldDirection.vector.y === direction.y) {
+            return;
+        }
+
+        this.stopDirection();
+
+        var held = {
+            vector: direction,
+            interval: repeatOptions.interval,
+            timer: null
+        };
+        var repeat = function() {
+            if(!moving) {
+                this.moveFocus(direction);
+            }
+
+            held.interval = Math.max(repeatOptions.minInterval,
+                held.interval * repeatOptions.acceleration);
+            held.timer = setTimeout(repeat, held.interval);
+        }.bind(this);
+
+        heldDirection = held;
+        this.moveFocus(direction);
+
+        // Moving focus may have stopped the direction, for example from a
+        // focus handler
+        if(heldDirection === held) {
+            held.timer = setTimeout(repeat, repeatOptions.delay);
+        }
+    };
+
+    /**
+    * Stop repeating a held direction
+    * @param {Object} direction The direction vector to stop, if it's the
+    * one being held, or undefined to stop any direction
+    */
+    this.stopDirection = function (direction) {
+        if(heldDirection === null) {
+            return;
+        }
+
+        if(typeof direction !== 'undefined' && (heldDirection.vector.x !== direction.x ||
+            heldDirection.vector.y !== direction.y)) {
+            return;
+        }
+
+        clearTimeout(heldDirection.timer);
+        heldDirection = null;
+    };
+
+    /**
+    * Get how long presses and double presses of select are detected
+    */
+    this.getPressOptions = function () {
+        return pressOptions;
+    };
+
+    /**
+    * Set how long presses and double presses of select are detected.
+    * Options which aren't given keep their current value.
+    * @param {Object} options longPressDuration, the milliseconds select
+    * has to be held for a long press or 0 to turn long presses off, and
+    * doublePressInterval, the most milliseconds between two presses for
+    * a double press or 0 to turn double presses off
+    */
+    this.setPressOptions = function (options) {
+        pressOptions = {
+            longPressDuration: (typeof options.longPressDuration === 'number') ?
+                options.longPressDuration : pressOptions.longPressDuration,
+            doublePressInterval: (typeof options.doublePressInterval === 'number') ?
+                options.doublePressInterval : pressOptions.doublePressInterval
+        };
+    };
+
+    /**
+    * Press select on the focused item. Pressing it again while it's
+    * held, like the auto repeat of a key, is ignored.
+    */
+    this.startSelect = function () {
+        if(selectPress !== null || currentlyFocusedItem === null) {
+            return;
+        }
+
+        var press = {
+            item: currentlyFocusedItem,
+            isLongPress: false,
+            timer: null
+        };
+        selectPress = press;
+        press.item.onItemClickStateChange(true);
+
+        if(pressOptions.longPressDuration > 0) {
+            press.timer = setTimeout(function() {
+                // A long press replaces the click
+                press.isLongPress = true;
+                press.item.onItemClickCancel();
+                this.dispatchNavigationEvent(press.item.getElement(),
+                    FocusController.EVENT_LONG_PRESS, {item: press.item});
+            }.bind(this), pressOptions.longPressDuration);
+        }
+    };
+
+    /**
+    * Release select, clicking the pressed item unless it was a long press
+    */
+    this.endSelect = function () {
+        if(selectPress === null) {
+            return;
+        }
+
+        var press = selectPress;
+        selectPress = null;
+        clearTimeout(press.timer);
+        if(press.isLongPress) {
+            lastSelectRelease = null;
+            return;
+        }
+
+        press.item.onItemClickStateChange(false);
+
+        var now = Date.now();
+        if(lastSelectRelease !== null && lastSelectRelease.item === press.item &&
+            now - lastSelectRelease.time <= pressOptions.doublePressInterval) {
+            lastSelectRelease = null;
+            this.dispatchNavigationEvent(press.item.getElement(),
+                FocusController.EVENT_DOUBLE_PRESS, {item: press.item});
+        } else {
+            lastSelectRelease = {
+                item: press.item,
+                time: now
+            };
+        }
+    };
+
+    /**
+    * Get how each type of form control handles the arrow keys and
+    * Enter, keyed by control type
+    */
+    this.getControlModes = function () {
+        return controlModes;
+    };
+
+    /**
+    * Set how a type of form control handles the arrow keys and Enter
+    * @param {String} type One of text, textarea, select, range or number
+    * @param {String} mode One of the FocusController.CONTROL_* values
+    */
+    this.setControlMode = function (type, mode) {
+        controlModes[type] = mode;
+    };
+
+    /**
+    * Get the form control in edit mode, or null if none is
+    */
+    this.getEditingElement = function () {
+        return editingElement;
+    };
+
+    /**
+    * Put a form control into edit mode, where every key goes to the
+    * control until back is pressed or focus moves away
+    * @param {DOMElement} element
+    */
+    this.startEditing = function (element) {
+        if(element === editingElement) {
+            return;
+        }
+
+        this.stopEditing();
+        editingElement = element;
+        element.classList.add(FocusController.EDITING_CLASS);
+        this.dispatchNavigationEvent(element, FocusController.EVENT_EDIT_START,
+            {element: element});
+    };
+
+    /**
+    * Take the form control in edit mode out of it
+    */
+    this.stopEditing = function () {
+        if(editingElement === null) {
+            return;
+        }
+
+        var element = editingElement;
+        editingElement = null;
+        element.classList.remove(FocusController.EDITING_CLASS);
+        this.dispatchNavigationEvent(element, FocusController.EVENT_EDIT_END,
+            {element: element});
+    };
+
+    /**
+    * This method performs a change of focus to the item
+    * @param {FocusableItem|int} item The item, or it's index in the array
+    * @param {Boolean} shouldScroll False to leave the scroll position
+    * alone instead of scrolling the item into view
+    */
+    this.setCurrentFocusItem = function (item, shouldScroll) {
+        var focusableItem = item;
+        if(typeof item === 'number') {
+            focusableItem = this.getFocusableItem(item);
+        }
+
+        if(editingElement !== null && (focusableItem === null ||
+            !focusableItem.getElement().contains(editingElement))) {
+            this.stopEditing();
+        }
+
+        var previousItem = currentlyFocusedItem;
+        currentlyFocusedItem = focusableItem;
+        if(previousItem !== null && previousItem !== focusableItem) {
+            this.dispatchNavigationEvent(previousItem.getElement(),
+                FocusController.EVENT_BLUR, {item: previousItem, next: focusableItem});
+        }
+
+        if(currentlyFocusedItem === null) {
+            return;
+        }
+
+        // The browser's own scrolling on focus is replaced by the
+        // configured scroll behaviour, unless scrolling is turned off
+        if(shouldScroll === false) {
+            currentlyFocusedItem.getElement().focus({preventScroll: true});
+        } else if(scrollOptions.mode === FocusController.SCROLL_NONE) {
+            currentlyFocusedItem.getElement().focus();
+        } else {
+            currentlyFocusedItem.getElement().focus({preventScroll: true});
+            this.scrollIntoView(currentlyFocusedItem.getElement());
+        }
+
+        if(previousItem !== focusableItem) {
+            this.dispatchNavigationEvent(focusableItem.getElement(),
+                FocusController.EVENT_FOCUS, {item: focusableItem, previous: previousItem});
+        }
+    };
+
+    /**
+    * Get whether the user is navigating with a pointer or with keys, one
+    * of the FocusController.MODE_* values
+    */
+    this.getInputMode = function () {
+        return inputMode;
+    };
+
+    /**
+    * Switch between pointer and key mode. The mode's class is set on the
+    * root element and a FocusController.EVENT_MODE_CHANGE event is
+    * dispatched on it.
+    * @param {String} mode One of the FocusController.MODE_* values
+    */
+    this.setInputMode = function (mode) {
+        if(mode === inputMode) {
+            return;
+        }
+
+        var previousMode = inputMode;
+        var root = rootElement;
+        inputMode = mode;
+        if(previousMode !== null) {
+            root.classList.remove(FocusController.MODE_CLASSES[previousMode]);
+        }
+        root.classList.add(FocusController.MODE_CLASSES[mode]);
+
+        if(previousMode !== null) {
+            this.dispatchNavigationEvent(root, FocusController.EVENT_MODE_CHANGE, {
+                mode: mode,
+                previousMode: previousMode
+            });
+        }
+    };
+
+    /**
+    * Switch to pointer mode when the pointer moves and make the item
+    * under it the current item. The pointer is left alone while the
+    * controller isn't active.
+    * @private
+    * @param {MouseEvent} event
+    */
+    this.onPointerMove = function (event) {
+        if(destroyed || !this.isActive()) {
+            return;
+        }
+
+        // Browsers also send mouse moves when the page scrolls under a
+        // pointer which hasn't moved
+        if(lastPointerPosition !== null && lastPointerPosition.x === event.screenX &&
+            lastPointerPosition.y === event.screenY) {
+            return;
+        }
+        lastPointerPosition = {
+            x: event.screenX,
+            y: event.screenY,
+            pageX: event.pageX,
+            pageY: event.pageY
+        };
+
+        var wasPointerMode = inputMode === FocusController.MODE_POINTER;
+        this.setInputMode(FocusController.MODE_POINTER);
+
+        // Items are only looked up when the pointer enters another element
+        if(wasPointerMode && event.target === lastPointerTarget) {
+            return;
+        }
+        lastPointerTarget = event.target;
+
+        var item = this.getItemForTarget(event.target);
+        if(item !== null && item !== currentlyFocusedItem &&
+            this.isInActiveLayer(item) && this.isFocusable(item.getElement())) {
+            this.setCurrentFocusItem(item, false);
+        }
+    };
+
+    /**
+    * Get where in the page the pointer was last seen, or null if it
+    * hasn't moved yet
+    * @return {Object} The position {x, y} in page coordinates
+    */
+    this.getLastPointerPosition = function () {
+        if(lastPointerPosition === null) {
+            return null;
+        }
+
+        return {
+            x: lastPointerPosition.pageX,
+            y: lastPointerPosition.pageY
+        };
+    };
+
+    /**
+    * Get how the item to focus is picked when nothing is focused and no
+    * item asks to be focused
+    */
+    this.getInitialFocusStrategy = function () {
+        return initialFocusStrategy;
+    };
+
+    /**
+    * Set how the item to focus is picked when nothing is focused and no
+    * item asks to be focused
+    * @param {String} strategy One of the FocusController.INITIAL_* values
+    */
+    this.setInitialFocusStrategy = function (strategy) {
+        initialFocusStrategy = strategy;
+    };
+
+    /**
+    * This will take a direction vector and move the focus to the most
+    * appropriate item or make no change if there are no items to move to.
+    * Vectors with both an x and y component, such as diagonals, are
+    * scored by the angle and distance of each item relative to them.
+    * @param {Object} direction A direction vector {x, y}, y is up
+    */
+    this.moveFocus = function (direction) {
+        // With nothing to move from, the first press focuses the best
+        // item to start at
+        if(!currentlyFocusedItem) {
+            this.focusInitialItem();
+            return;
+        }
+
+        // Focus may have escaped the active layer, bring it back
+        if(!this.isInActiveLayer(currentlyFocusedItem)) {
+            this.focusActiveLayer();
+            return;
+        }
+
+        pendingMove = null;
+
+        var directionName = this.getDirectionName(direction);
+        if(directionName === null && direction.x === 0 && direction.y === 0) {
+            return;
+        }
+
+        // A virtualized section may still have to render the neighbour
+        if(directionName !== null &&
+            this.requestMoreItems(currentlyFocusedItem, directionName)) {
+            pendingMove = {
+                element: currentlyFocusedItem.getElement(),
+                direction: directionName
+            };
+            return;
+        }
+
+        // Picking the next item checks candidates many times over, so
+        // each element's focusability is only worked out once
+        var nextItem;
+        this.startFocusableCache();
+        if(directionName !== null) {
+            nextItem = this.getNextItem(currentlyFocusedItem, directionName);
+        } else {
+            nextItem = this.getItemAlongVector(currentlyFocusedItem, direction);
+        }
+        this.stopFocusableCache();
+
+        if(nextItem === null) {
+            this.dispatchNavigationEvent(currentlyFocusedItem.getElement(),
+                FocusController.EVENT_EDGE, {
+                    direction: direction,
+                    item: currentlyFocusedItem
+                });
+            return;
+        }
+
+        this.moveToItem(currentlyFocusedItem, nextItem, direction);
+    };
+
+    /**
+    * Move focus to the item picked for a direction, unless a
+    * FocusController.EVENT_BEFORE_MOVE listener cancels it. Listeners can
+    * also redirect the move by changing the candidate of the event detail.
+    * @param {FocusableItem} fromItem The item focus is moving from
+    * @param {FocusableItem} toItem The item picked to move to
+    * @param {Object} direction The direction vector {x, y}
+    * @return {Boolean} True if focus moved
+    */
+    this.moveToItem = function (fromItem, toItem, direction) {
+        var detail = {
+            direction: direction,
+            from: fromItem,
+            candidate: toItem
+        };
+        if(!this.dispatchNavigationEvent(fromItem.getElement(),
+            FocusController.EVENT_BEFORE_MOVE, detail, true) || !detail.candidate) {
+            return false;
+        }
+
+        toItem = detail.candidate;
+        this.startMoving();
+        this.setCurrentFocusItem(toItem);
+        this.recordSectionChange(fromItem, toItem);
+        this.dispatchNavigationEvent(toItem.getElement(), FocusController.EVENT_MOVE, {
+            direction: direction,
+            from: fromItem,
+            to: toItem
+        });
+        return true;
+    };
+
+    /**
+    * Get the move waiting for a virtualized section to render more
+    * items, or null if there isn't one
+    */
+    this.getPendingMove = function () {
+        return pendingMove;
+    };
+
+    /**
+    * Finish the pending move if the item it's waiting for has been added.
+    * This is called automatically when items are added, call it yourself
+    * if new content is shown without adding items.
+    */
+    this.resumePendingMove = function () {
+        if(pendingMove === null) {
+            return;
+        }
+
+        // Give up if focus has moved on or the item has gone away
+        var fromItem = this.getFocusableItemForElement(pendingMove.element);
+        if(fromItem === null || fromItem !== currentlyFocusedItem) {
+            pendingMove = null;
+            return;
+        }
+
+        // Keep waiting until the section has a neighbour to move to
+        var neighbour = fromItem.getNeighbourItem(pendingMove.direction);
+        if(neighbour === null || neighbour.getSection() !== fromItem.getSection()) {
+            return;
+        }
+
+        var direction = pendingMove.direction;
+        var nextItem = this.getNextItem(fromItem, direction);
+        pendingMove = null;
+        if(nextItem !== null) {
+            this.moveToItem(fromItem, nextItem, FocusController.DIRECTIONS[direction]);
+        }
+    };
+
+    /**
+    * Drop the pending move, for example when no more content is coming
+    */
+    this.cancelPendingMove = function () {
+        pendingMove = null;
+    };
+
+    /**
+    * Get the function called when a move reaches the edge of a virtualized
+    * section
+    */
+    this.getEdgeHandler = function () {
+        return edgeHandler;
+    };
+
+    /**
+    * Set the function called when a move reaches the edge of the items
+    * rendered in a virtualized section. It's called with the direction,
+    * the focused item and the section, and should return true if it's
+    * going to render more items, in which case the move resumes once
+    * they have been added.
+    * @param {function} handler The handler or null to remove it
+    */
+    this.setEdgeHandler = function (handler) {
+        edgeHandler = handler;
+    };
+
+    /**
+    * Get the wrap mode used by items which aren't in a section with
+    * it's own wrap mode
+    */
+    this.getWrapMode = function () {
+        return wrapMode;
+    };
+
+    /**
+    * Set what happens when there is no neighbour in the direction of
+    * movement
+    * @param {String} mode One of the FocusController.WRAP_* values
+    */
+    this.setWrapMode = function (mode) {
+        wrapMode = mode;
+    };
+
+    /**
+    * Get the strategy used to score candidates for each direction
+    */
+    this.getScoringStrategy = function () {
+        return scoringStrategy;
+    };
+
+    /**
+    * Set the strategy used to score candidates for each direction and
+    * rebuild the focus graph with it
+    * @param {Object|function|String} strategy One of the ScoringStrategies,
+    * it's name, a strategy object or a getDistance(fromMetrics, toMetrics,
+    * direction, offAxisWeight) function
+    */
+    this.setScoringStrategy = function (strategy) {
+        if(typeof strategy === 'string') {
+            strategy = ScoringStrategies.getByName(strategy);
+        } else if(typeof strategy === 'function') {
+            strategy = {getDistance: strategy};
+        }
+
+        if(!strategy) {
+            throw new Error('Unknown scoring strategy');
+        }
+
+        scoringStrategy = strategy;
+        if(focusGraphBuilt) {
+            this.updateFocusGraph();
+        }
+    };
+
+    /**
+    * Get how much the distance across the direction of movement counts
+    * against a candidate when moving in a direction
+    * @param {String} direction One of top, bottom, left or right
+    */
+    this.getOffAxisWeight = function (direction) {
+        return offAxisWeights[direction];
+    };
+
+    /**
+    * Get the off axis weight of every direction, keyed by direction
+    */
+    this.getOffAxisWeights = function () {
+        return offAxisWeights;
+    };
+
+    /**
+    * Set how much the distance across the direction of movement counts
+    * against a candidate and rebuild the focus graph with it
+    * @param {Number} weight
+    * @param {String} direction One of top, bottom, left or right, or
+    * undefined to set the weight of every direction
+    */
+    this.setOffAxisWeight = function (weight, direction) {
+        for(var name in offAxisWeights) {
+            if(offAxisWeights.hasOwnProperty(name) &&
+                (typeof direction === 'undefined' || name === direction)) {
+                offAxisWeights[name] = weight;
+            }
+        }
+
+        if(focusGraphBuilt) {
+            this.updateFocusGraph();
+        }
+    };
+
+    /**
+    * Get how much the distance off a direction vector counts against a
+    * candidate for diagonal and analog moves
+    */
+    this.getVectorOffAxisWeight = function () {
+        return vectorOffAxisWeight;
+    };
+
+    /**
+    * Set how much the distance off a direction vector counts against a
+    * candidate for diagonal and analog moves
+    * @param {Number} weight
+    */
+    this.setVectorOffAxisWeight = function (weight) {
+        vectorOffAxisWeight = weight;
+    };
+
+    /**
+    * Get how items are scrolled into view when they gain focus
+    */
+    this.getScrollOptions = function () {
+        return scrollOptions;
+    };
+
+    /**
+    * Set how items are scrolled into view when they gain focus. Options
+    * which aren't given keep their current value.
+    * @param {Object} options mode (one of the FocusController.SCROLL_*
+    * values), offset in pixels kept between the item and the edge of
+    * the scroll container and smooth to animate the scroll
+    */
+    this.setScrollOptions = function (options) {
+        scrollOptions = {
+            mode: options.mode || scrollOptions.mode,
+            offset: (typeof options.offset === 'number') ?
+                options.offset : scrollOptions.offset,
+            smooth: (typeof options.smooth === 'boolean') ?
+                options.smooth : scrollOptions.smooth
+        };
+    };
+
+    /**
+    * Get the key map used to turn key events into actions
+    */
+    this.getKeyMap = function () {
+        return keyMap;
+    };
+
+    /**
+    * Set the key map used to turn key events into actions
+    * @param {KeyMap|String} map A KeyMap or the name of one of the
+    * KeyMap.PRESETS
+    */
+    this.setKeyMap = function (map) {
+        keyMap = (map instanceof KeyMap) ? map : new KeyMap(map);
+    };
+
+    /**
+    * Determine if the focuscontroller is in a debugmode which
+    * is used to determine if debug lines should be drawn or not
+    */
+    this.isDebugMode = function() {
+        return debugMode;
+    };
+
+    this.toggleDebugMode = function() {
+        debugMode = !debugMode;
+        this.updateFocusGraph();
+    };
+
+    /**
+    * Calculate the distance from (0,0) to (x,y)
+    */
+    this.calcDistance = function(x, y) {
+        return Math.floor(Math.sqrt((x * x) + (y * y)));
+    };
+
+    /**
+    * Watch the DOM for focusable elements being added, removed or
+    * changed and keep the focus graph up to date. Mutations are batched
+    * so a large render only causes a single update of the graph.
+    * @param {DOMElement} root Element to observe, defaults to the
+    * controller's root
+    * @param {Object} options Optional selector for focusable elements and
+    * createItem factory used to wrap newly found elements
+    */
+    this.observe = function (root, options) {
+        this.stopObserving();
+
+        root = root || rootElement;
+        options = options || {};
+        options.selector = options.selector || '.dpad-focusable';
+        options.createItem = options.createItem || function(element) {
+            return new GenericFocusableItem(element);
+        };
+
+        var flushScheduled = false;
+        observer = new MutationObserver(function(mutations) {
+            pendingMutations = pendingMutations.concat(mutations);
+            if(flushScheduled) {
+                return;
+            }
+
+            flushScheduled = true;
+            var flush = function() {
+                flushScheduled = false;
+                var records = pendingMutations;
+                pendingMutations = [];
+                this.applyMutations(root, records, options);
+            }.bind(this);
+
+            if(window.requestAnimationFrame) {
+                window.requestAnimationFrame(flush);
+            } else {
+                setTimeout(flush, 0);
+            }
+        }.bind(this));
+
+        observer.observe(root, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeOldValue: true,
+            attributeFilter: ['tabindex', 'style', 'class', 'hidden',
+                'disabled', 'inert', 'aria-hidden']
+        });
+    };
+
+    /**
+    * Stop watching the DOM for changes
+    */
+    this.stopObserving = function () {
+        if(observer === null) {
+            return;
+        }
+
+        observer.disconnect();
+        observer = null;
+        pendingMutations = [];
+    };
+
+    /**
+    * Is the controller watching the DOM for changes
+    */
+    this.isObserving = function () {
+        return observer !== null;
+    };
+
+    /**
+    * Get the element the controller navigates inside
+    */
+    this.getRoot = function () {
+        return rootElement;
+    };
+
+    /**
+    * Get the debug line elements drawn by this controller
+    */
+    this.getDebugLines = function () {
+        return debugLines;
+    };
+
+    /**
+    * Add an event listener which is removed when the controller is
+    * destroyed
+    * @private
+    * @param {EventTarget} target
+    * @param {String} type
+    * @param {Function} handler
+    * @param {Boolean} capture
+    */
+    this.addListener = function (target, type, handler, capture) {
+        target.addEventListener(type, handler, capture);
+        listeners.push({
+            target: target,
+            type: type,
+            handler: handler,
+            capture: capture
+        });
+    };
+
+    /**
+    * Has the controller been destroyed
+    */
+    this.isDestroyed = function () {
+        return destroyed;
+    };
+
+    /**
+    * Stop the controller for good. Every listener, focus handler, timer
+    * and debug line it added is removed, and the next most recently
+    * active controller becomes active if this one was.
+    */
+    this.destroy = function () {
+        if(destroyed) {
+            return;
+        }
+
+        destroyed = true;
+        this.deactivate();
+        this.stopDirection();
+        this.stopObserving();
+        this.stopEditing();
+        this.cancelPendingMove();
+
+        if(selectPress !== null) {
+            clearTimeout(selectPress.timer);
+            selectPress = null;
+        }
+
+        if(movingTimer !== null) {
+            clearTimeout(movingTimer);
+            movingTimer = null;
+        }
+        moving = false;
+
+        for(var i = 0; i < listeners.length; i++) {
+            listeners[i].target.removeEventListener(listeners[i].type,
+                listeners[i].handler, listeners[i].capture);
+        }
+        listeners = [];
+
+        this.removeAllFocusableItems();
+        this.clearDebugLines();
+        rootElement.classList.remove(FocusController.MODE_CLASSES[inputMode]);
+        currentlyFocusedItem = null;
+    };
+
+    // Set up binding to listen for key presses
+    this.addListener(document, 'keydown', this.onKeyDown.bind(this), false);
+    this.addListener(document, 'keyup', this.onKeyUp.bind(this), false);
+
+    this.setInputMode(FocusController.MODE_KEY);
+    this.addListener(rootElement, 'mousemove', this.onPointerMove.bind(this), true);
+
+    // Key releases are missed while the window doesn't have focus
+    this.addListener(window, 'blur', function() {
+            this.stopDirection();
+        }.bind(this), false);
+
+    // Scroll events don't bubble, so they are caught on the way down
+    var movingEvents = ['scroll', 'transitionrun', 'transitionstart',
+        'transitionend', 'transitioncancel'];
+    for(var i = 0; i < movingEvents.length; i++) {
+        this.addListener(document, movingEvents[i],
+            this.onMovingActivity.bind(this), true);
+    }
+
+    if(options.active === true ||
+        (options.active !== false && FocusController.getActiveController() === null)) {
+        this.activate();
+    }
+}
+
+/**
+* The controllers which have been activated, the most recently activated
+* one last
+* @private
+*/
+FocusController.activeControllers = [];
+
+/**
+* Get the controller which handles key presses, or null if none does
+* @function
+* @return {FocusController}
+*/
+FocusController.getActiveController = function() {
+    'use strict';
+
+    var controllers = FocusController.activeControllers;
+    return controllers.length > 0 ? controllers[controllers.length - 1] : null;
+};
+
+/**
+* Dispatched on the focused element before focus moves. Cancel it to
+* stop the move or change detail.candidate to move somewhere else.
+* @const
+*/
+FocusController.EVENT_BEFORE_MOVE = 'dpad:beforemove';
+
+/**
+* Dispatched on the newly focused element after focus has moved in a
+* direction
+* @const
+*/
+FocusController.EVENT_MOVE = 'dpad:move';
+
+/**
+* Dispatched on an element when the FocusController focuses it
+* @const
+*/
+FocusController.EVENT_FOCUS = 'dpad:focus';
+
+/**
+* Dispatched on an element when the FocusController moves focus away
+* from it
+* @const
+*/
+FocusController.EVENT_BLUR = 'dpad:blur';
+
+/**
+* Dispatched on the focused element when there is nothing to move to in
+* the pressed direction
+* @const
+*/
+FocusController.EVENT_EDGE = 'dpad:edge';
+
+/**
+* Dispatched on the focused element when the back action is triggered,
+* with the active layer and history entry back would return to. Cancel
+* it to handle back yourself.
+* @const
+*/
+FocusController.EVENT_BACK = 'dpad:back';
+
+/**
+* Start at the first item
+* @const
+*/
+FocusController.INITIAL_FIRST = 'first';
+
+/**
+* Start at the item nearest to the center of the screen
+* @const
+*/
+FocusController.INITIAL_CENTER = 'center';
+
+/**
+* Start at the item nearest to where the pointer was last seen, or the
+* center of the screen if it hasn't been used
+* @const
+*/
+FocusController.INITIAL_NEAREST_POINTER = 'nearest-pointer';
+
+/**
+* Dispatched on the root element when the user switches between pointer
+* and key mode
+* @const
+*/
+FocusController.EVENT_MODE_CHANGE = 'dpad:modechange';
+
+/**
+* The user is navigating with keys, a remote or a gamepad
+* @const
+*/
+FocusController.MODE_KEY = 'key';
+
+/**
+* The user is navigating with a mouse or pointer remote
+* @const
+*/
+FocusController.MODE_POINTER = 'pointer';
+
+/**
+* The class set on the root element in each input mode
+* @const
+*/
+FocusController.MODE_CLASSES = {
+    key: 'dpad-key-mode',
+    pointer: 'dpad-pointer-mode'
+};
+
+/**
+* Dispatched on an item's element when select is held on it for the long
+* press duration. The item isn't clicked when select is released.
+* @const
+*/
+FocusController.EVENT_LONG_PRESS = 'dpad:longpress';
+
+/**
+* Dispatched on an item's element after it's clicked twice within the
+* double press interval
+* @const
+*/
+FocusController.EVENT_DOUBLE_PRESS = 'dpad:doublepress';
+
+/**
+* Arrows and Enter always navigate and click, like any other item
+* @const
+*/
+FocusController.CONTROL_NAVIGATE = 'navigate';
+
+/**
+* Arrows go to the form control until its caret or value reaches the
+* edge it's moving towards, then they move focus. Enter goes to the
+* control, so forms can be submitted.
+* @const
+*/
+FocusController.CONTROL_BOUNDARY = 'boundary';
+
+/**
+* Arrows navigate until Enter puts the form control into edit mode, then
+* every key goes to the control until back is pressed
+* @const
+*/
+FocusController.CONTROL_EDIT = 'edit';
+
+/**
+* How each type of form control handles the arrow keys and Enter, unless
+* it's changed with setControlMode or the element's data-dpad-control
+* attribute
+* @const
+*/
+FocusController.DEFAULT_CONTROL_MODES = {
+    text: FocusController.CONTROL_BOUNDARY,
+    textarea: FocusController.CONTROL_BOUNDARY,
+    select: FocusController.CONTROL_BOUNDARY,
+    range: FocusController.CONTROL_BOUNDARY,
+    number: FocusController.CONTROL_BOUNDARY
+};
+
+/**
+* The input types handled as text controls
+* @const
+*/
+FocusController.TEXT_INPUT_TYPES = ['text', 'search', 'email', 'url', 'tel', 'password'];
+
+/**
+* Class added to a form control while it's in edit mode
+* @const
+*/
+FocusController.EDITING_CLASS = 'dpad-editing';
+
+/**
+* Classes the library adds and removes to show state, which observe
+* doesn't rebuild the graph for
+* @const
+*/
+FocusController.STATE_CLASSES = [
+    'clickdown',
+    FocusController.EDITING_CLASS,
+    FocusController.MODE_CLASSES.key,
+    FocusController.MODE_CLASSES.pointer
+];
+
+/**
+* Dispatched on a form control when it enters edit mode
+* @const
+*/
+FocusController.EVENT_EDIT_START = 'dpad:editstart';
+
+/**
+* Dispatched on a form control when it leaves edit mode
+* @const
+*/
+FocusController.EVENT_EDIT_END = 'dpad:editend';
+
+/**
+* Milliseconds select has to be held for a long press, unless it's
+* changed with setPressOptions
+* @const
+*/
+FocusController.DEFAULT_LONG_PRESS_DURATION = 500;
+
+/**
+* The most milliseconds between two presses of select for a double
+* press, unless it's changed with setPressOptions
+* @const
+*/
+FocusController.DEFAULT_DOUBLE_PRESS_INTERVAL = 300;
+
+/**
+* The most entries kept in the focus history
+* @const
+*/
+FocusController.MAX_HISTORY_LENGTH = 50;
+
+/**
+* Milliseconds a direction has to be held before it starts repeating,
+* unless it's changed with setRepeatOptions
+* @const
+*/
+FocusController.DEFAULT_REPEAT_DELAY = 400;
+
+/**
+* Milliseconds between repeats of a held direction, unless it's changed
+* with setRepeatOptions
+* @const
+*/
+FocusController.DEFAULT_REPEAT_INTERVAL = 150;
+
+/**
+* Milliseconds without scrolling or transitions before focus is no
+* longer moving
+* @const
+*/
+FocusController.MOVE_SETTLE_TIME = 50;
+
+/**
+* The longest time in milliseconds focus counts as moving, in case a
+* transition never ends
+* @const
+*/
+FocusController.MAX_MOVE_TIME = 1000;
+
+/**
+* The directions an item can have a neighbour in
+* @const
+*/
+FocusController.DIRECTIONS = {
+    top: {x: 0, y: 1},
+    bottom: {x: 0, y: -1},
+    left: {x: -1, y: 0},
+    right: {x: 1, y: 0}
+};
+
+/**
+* The direction vectors of the KeyMap's directional actions
+* @const
+*/
+FocusController.ACTION_DIRECTIONS = {
+    left: {x: -1, y: 0},
+    up: {x: 0, y: 1},
+    right: {x: 1, y: 0},
+    down: {x: 0, y: -1}
+};
+
+/**
+* The attributes holding explicit neighbour overrides for each direction
+* @const
+*/
+FocusController.OVERRIDE_ATTRIBUTES = {
+    top: 'data-dpad-up',
+    bottom: 'data-dpad-down',
+    left: 'data-dpad-left',
+    right: 'data-dpad-right'
+};
+
+/**
+* Don't move when there is no neighbour in the direction of movement
+* @const
+*/
+FocusController.WRAP_NONE = 'none';
+
+/**
+* Wrap to the other end of the same row, or column for vertical movement
+* @const
+*/
+FocusController.WRAP_ROW = 'row';
+
+/**
+* Continue at the start of the next row, or column for vertical movement,
+* in reading order
+* @const
+*/
+FocusController.WRAP_FLOW = 'flow';
+
+/**
+* The widest angle in degrees between a direction vector and an item for
+* the item to be moved to
+* @const
+*/
+FocusController.MAX_VECTOR_ANGLE = 45;
+
+/**
+* How much the distance across the direction of movement counts against
+* a candidate in each direction, unless it's changed with
+* setOffAxisWeight. Moving right has always weighed it double.
+* @const
+*/
+FocusController.DEFAULT_OFF_AXIS_WEIGHTS = {
+    top: 1,
+    bottom: 1,
+    left: 1,
+    right: 2
+};
+
+/**
+* How much the distance off a direction vector counts against a
+* candidate for diagonal and analog moves, unless it's changed with
+* setVectorOffAxisWeight
+* @const
+*/
+FocusController.DEFAULT_VECTOR_OFF_AXIS_WEIGHT = 2;
+
+/**
+* Let the browser scroll focused items into view
+* @const
+*/
+FocusController.SCROLL_NONE = 'none';
+
+/**
+* Scroll as little as possible to bring the focused item into view
+* @const
+*/
+FocusController.SCROLL_NEAREST = 'nearest';
+
+/**
+* Scroll the focused item to the center of its scroll container
+* @const
+*/
+FocusController.SCROLL_CENTER = 'center';
+
+/**
+* Scroll the focused item to the scroll offset from the start of its
+* scroll container
+* @const
+*/
+FocusController.SCROLL_OFFSET = 'offset';
+
+/**
+* Dispatch one of the FocusController.EVENT_* events. The events bubble,
+* so they can be listened for on the document.
+* @function
+* @param {DOMElement} element The element to dispatch the event on
+* @param {String} type The name of the event
+* @param {Object} detail The detail of the event
+* @param {Boolean} cancelable Whether listeners can cancel the event
+* @return {Boolean} False if a listener cancelled the event
+*/
+FocusController.prototype.dispatchNavigationEvent = function (element, type, detail, cancelable) {
+    'use strict';
+
+    var event;
+    cancelable = cancelable === true;
+    if(typeof window.CustomEvent === 'function') {
+        event = new CustomEvent(type, {
+            bubbles: true,
+            cancelable: cancelable,
+            detail: detail
+        });
+    } else {
+        event = document.createEvent('CustomEvent');
+        event.initCustomEvent(type, true, cancelable, detail);
+    }
+
+    return element.dispatchEvent(event);
+};
+
+/**
+* This method will add a focusable item to the controller
+* @function
+* @param {FocusableItem} item Focusable item to be handled by this
+* FocusController
+*/
+FocusController.prototype.addFocusableItem = function (item) {
+    'use strict';
+
+    if(this.isFocusableItem(item)) {
+        return;
+    }
+
+    this.pushFocusableItem(item);
+
+    if(this.isFocusGraphBuilt()) {
+        this.updateItem(item);
+    }
+};
+
+/**
+* Patch the focus graph after a single item has been added, moved or
+* resized. Only the item's own edges and the edges of items whose best
+* candidate could have changed are recalculated.
+* @function
+* @param {FocusableItem} item The item which changed
+*/
+FocusController.prototype.updateItem = function (item) {
+    'use strict';
+
+    if(!this.isFocusableItem(item)) {
+        return;
+    }
+
+    if(!this.isFocusGraphBuilt()) {
+        this.updateFocusGraph();
+        return;
+    }
+
+    this.clearCachedItemMetrics(item);
+    this.startFocusableCache();
+
+    var isNavigable = this.isInActiveLayer(item) &&
+        this.isFocusable(item.getElement());
+    var itemMetrics = null;
+    if(isNavigable) {
+        itemMetrics = this.getCachedItemMetrics(item);
+        this.getSpatialIndex().insert(item, itemMetrics);
+        this.updateNodeEdges(item);
+    } else {
+        this.getSpatialIndex().remove(item);
+        item.resetFocusableItems();
+    }
+
+    var itemCount = this.getFocusableItemCount();
+    for(var i = 0; i < itemCount; i++) {
+        var otherItem = this.getFocusableItem(i);
+        if(otherItem === item || !this.isInActiveLayer(otherItem) ||
+            !this.isFocusable(otherItem.getElement())) {
+            continue;
+        }
+
+        // The item may have moved away, so anything pointing at it
+        // needs a full recalculation
+        if(this.isNeighbourOf(otherItem, item)) {
+            this.updateNodeEdges(otherItem);
+            continue;
+        }
+
+        if(isNavigable) {
+            this.offerNeighbour(otherItem, item, itemMetrics);
+        }
+    }
+
+    if(this.isDebugMode()) {
+        this.printAllDebugLines();
+    }
+
+    this.stopFocusableCache();
+};
+
+/**
+* Check whether any of an item's neighbours is the candidate
+* @function
+* @param {FocusableItem} item
+* @param {FocusableItem} candidate
+*/
+FocusController.prototype.isNeighbourOf = function (item, candidate) {
+    'use strict';
+
+    for(var direction in FocusController.DIRECTIONS) {
+        if(item.getNeighbourItem(direction) === candidate) {
+            return true;
+        }
+    }
+    return false;
+};
+
+/**
+* Make the candidate a neighbour of the item in every direction where
+* it beats the current neighbour, following the same section rules as
+* updateNodeEdges
+* @function
+* @param {FocusableItem} item Item whose edges may change
+* @param {FocusableItem} candidate Item which may become a neighbour
+* @param {Metrics} candidateMetrics Metrics of the candidate
+*/
+FocusController.prototype.offerNeighbour = function (item, candidate, candidateMetrics) {
+    'use strict';
+
+    var itemMetrics = this.getCachedItemMetrics(item);
+    var section = item.getSection();
+    var candidateInSection = candidate.getSection() === section;
+
+    for(var direction in FocusController.DIRECTIONS) {
+        if(this.getNeighbourOverride(item, direction) !== null) {
+            continue;
+        }
+
+        var distance = this.getDirectionDistance(direction, itemMetrics, candidateMetrics);
+        if(distance === null) {
+            continue;
+        }
+
+        var currentNeighbour = item.getNeighbourItem(direction);
+        var currentDistance = item.getNeighbourDistance(direction);
+        var isBetter;
+        if(currentNeighbour === null) {
+            isBetter = true;
+        } else if((currentNeighbour.getSection() === section) !== candidateInSection) {
+            // Neighbours inside the section always win
+            isBetter = candidateInSection;
+        } else {
+            isBetter = currentDistance !== null && (distance < currentDistance ||
+                (distance === currentDistance && candidate.getId() < currentNeighbour.getId()));
+        }
+
+        if(isBetter) {
+            item.setNeighbourItem(direction, candidate, distance);
+        }
+    }
+};
+
+/**
+ * Add and remove focusable items for a batch of DOM mutations and
+ * update the graph once if anything relevant changed.
+ * @function
+ * @param {DOMElement} Root element being observed
+ * @param {Array} MutationRecords to apply
+ * @param {Object} Observe options with selector and createItem
+ **/
+FocusController.prototype.applyMutations = function(root, mutations, options) {
+    'use strict';
+
+    var addedElements = [];
+    var changedElements = [];
+    var graphChanged = false;
+    var i;
+
+    var collectElements = function(node) {
+        if(node.nodeType !== 1) {
+            return;
+        }
+
+        if(node.matches(options.selector)) {
+            addedElements.push(node);
+        }
+
+        var children = node.querySelectorAll(options.selector);
+        for(var j = 0; j < children.length; j++) {
+            addedElements.push(children[j]);
+        }
+    };
+
+    // Only nodes which are, or hold, focusable elements affect the graph,
+    // so other content and the debug lines are ignored
+    var holdsItems = function(node) {
+        return node.nodeType === 1 && (node.matches(options.selector) ||
+            node.querySelector(options.selector) !== null ||
+            this.getFocusableItemForElement(node) !== null);
+    }.bind(this);
+
+    for(i = 0; i < mutations.length; i++) {
+        var mutation = mutations[i];
+        var j;
+        if(mutation.type === 'childList') {
+            for(j = 0; j < mutation.addedNodes.length; j++) {
+                collectElements(mutation.addedNodes[j]);
+            }
+            for(j = 0; j < mutation.removedNodes.length; j++) {
+                graphChanged = graphChanged || holdsItems(mutation.removedNodes[j]);
+            }
+        } else if(mutation.type === 'attributes' && holdsItems(mutation.target) &&
+            !this.isStateClassChange(mutation)) {
+            collectElements(mutation.target);
+            changedElements.push(mutation.target);
+            graphChanged = true;
+        }
+    }
+
+    // The whole batch is applied before the graph is rebuilt once, so
+    // stop adding and removing items from patching it one at a time
+    var wasGraphBuilt = this.isFocusGraphBuilt();
+    this.setFocusGraphBuilt(false);
+
+    // Drop items which have left the DOM or no longer match the selector
+    for(i = this.getFocusableItemCount() - 1; i >= 0; i--) {
+        var element = this.getFocusableItem(i).getElement();
+        if(!document.documentElement.contains(element) ||
+            (changedElements.indexOf(element) !== -1 && !element.matches(options.selector))) {
+            this.removeFocusableItem(this.getFocusableItem(i));
+            graphChanged = true;
+        }
+    }
+
+    for(i = 0; i < addedElements.length; i++) {
+        if(root.contains(addedElements[i]) &&
+            this.getFocusableItemForElement(addedElements[i]) === null) {
+            this.addFocusableItem(options.createItem(addedElements[i]));
+            graphChanged = true;
+        }
+    }
+
+    if(graphChanged) {
+        this.updateFocusGraph();
+    } else {
+        this.setFocusGraphBuilt(wasGraphBuilt);
+    }
+};
+
+/**
+ * Check whether a mutation only added or removed the classes the library
+ * toggles itself, like clickdown, which don't change the graph
+ * @function
+ * @param {MutationRecord} mutation
+ **/
+FocusController.prototype.isStateClassChange = function(mutation) {
+    'use strict';
+
+    if(mutation.attributeName !== 'class' || mutation.oldValue === null) {
+        return false;
+    }
+
+    var getClasses = function(value) {
+        return (value || '').split(/\s+/).filter(function(className) {
+            return className !== '' &&
+                FocusController.STATE_CLASSES.indexOf(className) === -1;
+        }).sort().join(' ');
+    };
+
+    return getClasses(mutation.oldValue) ===
+        getClasses(mutation.target.getAttribute('class'));
+};
+
+/**
+ * Iterate over the children and set their neighbours up
+ * correctly.
+ * @function
+ **/
+FocusController.prototype.updateFocusGraph = function() {
+    'use strict';
+    this.clearDebugLines();
+    this.clearCachedItemMetrics();
+    this.setFocusGraphBuilt(true);
+    this.startFocusableCache();
+
+    var itemCount = this.getFocusableItemCount();
+    var spatialIndex = this.getSpatialIndex();
+    var navigableItems = [];
+    var i;
+
+    spatialIndex.clear();
+    for(i = 0; i < itemCount; i++) {
+        var focusableItem = this.getFocusableItem(i);
+        // If the element can't be focused, skip it.
+        if(!this.isFocusable(focusableItem.getElement())) {
+            continue;
+        }
+
+        // Items behind the active layer can't be navigated from
+        if(!this.isInActiveLayer(focusableItem)) {
+            focusableItem.resetFocusableItems();
+            continue;
+        }
+
+        spatialIndex.insert(focusableItem, this.getCachedItemMetrics(focusableItem));
+        navigableItems.push(focusableItem);
+    }
+
+    for(i = 0; i < navigableItems.length; i++) {
+        this.updateNodeEdges(navigableItems[i]);
+
+        if(this.isDebugMode()) {
+            this.printDebugLinesForNode(i, navigableItems[i]);
+        }
+    }
+
+    this.stopFocusableCache();
+};
+
+/**
+ * Check whether an element is, or holds, one of the controller's items,
+ * so scrolling or transitions on it can move the items. Scrolls of the
+ * page are dispatched on the document.
+ * @function
+ * @param {EventTarget} target
+ **/
+FocusController.prototype.isNavigationContent = function(target) {
+    'use strict';
+
+    if(target === document) {
+        target = document.documentElement;
+    }
+
+    if(!target || target.nodeType !== 1) {
+        return false;
+    }
+
+    var itemCount = this.getFocusableItemCount();
+    for(var i = 0; i < itemCount; i++) {
+        if(target.contains(this.getFocusableItem(i).getElement())) {
+            return true;
+        }
+    }
+    return false;
+};
+
+/**
+ * Check whether an item is inside the active layer, every item is
+ * when no layer has been pushed.
+ * @function
+ * @param {FocusableItem} Item to check
+ **/
+FocusController.prototype.isInActiveLayer = function(item) {
+    'use strict';
+
+    var layerElement = this.getActiveLayer();
+    if(layerElement === null) {
+        return true;
+    }
+
+    return layerElement.contains(item.getElement());
+};
+
+/**
+ * Move focus to the first focusable item in the active layer
+ * @function
+ **/
+FocusController.prototype.focusActiveLayer = function() {
+    'use strict';
+
+    this.focusInitialItem();
+};
+
+/**
+ * Focus the item to start navigating from
+ * @function
+ * @return {FocusableItem} The focused item or null if there are no
+ * items to focus
+ **/
+FocusController.prototype.focusInitialItem = function() {
+    'use strict';
+
+    var item = this.getInitialFocusItem();
+    if(item !== null) {
+        this.setCurrentFocusItem(item);
+    }
+    return item;
+};
+
+/**
+ * Pick the item to start navigating from in the active layer. An item
+ * with the data-dpad-default attribute wins, then an item with the
+ * autofocus attribute, otherwise the initial focus strategy decides.
+ * @function
+ * @return {FocusableItem} The item or null if there are no items to focus
+ **/
+FocusController.prototype.getInitialFocusItem = function() {
+    'use strict';
+
+    var candidates = [];
+    var defaultItem = null;
+    var autofocusItem = null;
+    var itemCount = this.getFocusableItemCount();
+    this.startFocusableCache();
+    for(var i = 0; i < itemCount; i++) {
+        var item = this.getFocusableItem(i);
+        var element = item.getElement();
+        if(!this.isInActiveLayer(item) || !this.isFocusable(element)) {
+            continue;
+        }
+
+        if(defaultItem === null && element.hasAttribute('data-dpad-default')) {
+            defaultItem = item;
+        }
+        if(autofocusItem === null && element.hasAttribute('autofocus')) {
+            autofocusItem = item;
+        }
+        candidates.push(item);
+    }
+    this.stopFocusableCache();
+
+    if(defaultItem !== null) {
+        return defaultItem;
+    } else if(autofocusItem !== null) {
+        return autofocusItem;
+    } else if(candidates.length === 0) {
+        return null;
+    }
+
+    // Find the point to start nearest to
+    var point = null;
+    switch(this.getInitialFocusStrategy()) {
+        case FocusController.INITIAL_NEAREST_POINTER:
+            point = this.getLastPointerPosition();
+            if(point !== null) {
+                break;
+            }
+            /* falls through */
+        case FocusController.INITIAL_CENTER:
+            var scrollingElement = document.scrollingElement || document.documentElement;
+            point = {
+                x: (window.pageXOffset || 0) +
+                    ((window.innerWidth || scrollingElement.clientWidth) / 2),
+                y: (window.pageYOffset || 0) +
+                    ((window.innerHeight || scrollingElement.clientHeight) / 2)
+            };
+            break;
+    }
+
+    if(point === null) {
+        return candidates[0];
+    }
+
+    var nearestItem = null;
+    var nearestDistance = 0;
+    for(var j = 0; j < candidates.length; j++) {
+        var metrics = this.getCachedItemMetrics(candidates[j]);
+        var distance = Math.sqrt(Math.pow(metrics.center.x - point.x, 2) +
+            Math.pow(metrics.center.y - point.y, 2));
+        if(nearestItem === null || distance < nearestDistance) {
+            nearestItem = candidates[j];
+            nearestDistance = distance;
+        }
+    }
+    return nearestItem;
+};
+
+/**
+ * Redraw the debug lines for every item
+ * @function
+ **/
+FocusController.prototype.printAllDebugLines = function() {
+    'use strict';
+
+    this.clearDebugLines();
+
+    var itemCount = this.getFocusableItemCount();
+    for(var i = 0; i < itemCount; i++) {
+        var focusableItem = this.getFocusableItem(i);
+        if(this.isInActiveLayer(focusableItem) &&
+            this.isFocusable(focusableItem.getElement())) {
+            this.printDebugLinesForNode(i, focusableItem);
+        }
+    }
+};
+
+FocusController.prototype.clearDebugLines = function() {
+    var debugLines = this.getDebugLines();
+    while(debugLines.length > 0) {
+        debugLines.pop().remove();
+    }
+};
+
+/**
+ * For a given element, print it's left, right, up and down neighbours
+ * The index is used to select a color for the line.
+ * @function
+ * @param {int} Index of the element to draw neighbours
+ * @param {FocusableItem}  Item to draw neighbours for
+ **/
+FocusController.prototype.printDebugLinesForNode = function(index, focusableItem) {
+    'use strict';
+
+    var markerColors = [
+        '#1abc9c',
+        '#2ecc71',
+        '#3498db',
+        '#9b59b6',
+        '#34495e',
+        '#f1c40f',
+        '#e67e22',
+        '#e74c3c',
+        '#ecf0f1',
+        '#95a5a6'
+    ];
+    var markerIndex = index % markerColors.length;
+    var markerColor = markerColors[markerIndex];
+
+    var currentItemMetrics = this.getCachedItemMetrics(focusableItem);
+
+    var newItemMetrics, xDist, yDist, angle;
+
+    if(focusableItem.getTopFocusItem() !== null) {
+        newItemMetrics = this.getCachedItemMetrics(focusableItem.getTopFocusItem());
+        xDist = newItemMetrics.center.x - currentItemMetrics.center.x;
+        yDist = currentItemMetrics.top - newItemMetrics.center.y;
+
+        angle = ((Math.atan2(xDist, yDist) * 180) / Math.PI) + 180;
+
+        this.printDebugLine(this.calcDistance(xDist, yDist), (currentItemMetrics.center.x-5), currentItemMetrics.top, markerColor, angle);
+    }
+
+    if(focusableItem.getBottomFocusItem() !== null) {
+        newItemMetrics = this.getCachedItemMetrics(focusableItem.getBottomFocusItem());
+        xDist = currentItemMetrics.center.x - newItemMetrics.center.x;
+        yDist = newItemMetrics.center.y - currentItemMetrics.bottom;
+
+        angle = ((Math.atan2(xDist, yDist) * 180) / Math.PI) + 360;
+
+        this.printDebugLine(this.calcDistance(xDist, yDist), (currentItemMetrics.center.x+5), currentItemMetrics.bottom, markerColor, angle);
+    }
+
+    if(focusableItem.getLeftFocusItem() !== null) {
+        newItemMetrics = this.getCachedItemMetrics(focusableItem.getLeftFocusItem());
+        xDist = newItemMetrics.center.x - currentItemMetrics.left;
+        yDist = currentItemMetrics.center.y - newItemMetrics.center.y;
+
+        angle = ((Math.atan2(xDist, yDist) * 180) / Math.PI) + 180;
 
         this.printDebugLine(this.calcDistance(xDist, yDist), currentItemMetrics.left, currentItemMetrics.center.y + 5, markerColor, angle);
     }
 
-    if(focusableItem.getRightFocusItemIndex() !== null) {
-        newItemMetrics = this.getItemMetrics(this.getFocusableItem(focusableItem.getRightFocusItemIndex()).getElement());
-        xDist = newItemMetrics.center.x - currentItemMetrics.right;
-        yDist = currentItemMetrics.center.y - newItemMetrics.center.y;
+    if(focusableItem.getRightFocusItem() !== null) {
+        newItemMetrics = this.getCachedItemMetrics(focusableItem.getRightFocusItem());
+        xDist = newItemMetrics.center.x - currentItemMetrics.right;
+        yDist = currentItemMetrics.center.y - newItemMetrics.center.y;
+
+        angle = ((Math.atan2(xDist, yDist) * 180) / Math.PI) + 180;
+
+        this.printDebugLine(this.calcDistance(xDist, yDist), currentItemMetrics.right, currentItemMetrics.center.y - 5, markerColor, angle);
+    }
+};
+
+/**
+ * Prints a single line for the given parameters
+ * @function
+ * @param {int} Length of line
+ * @param {int} X Coordinate for starting the line
+ * @param {int} Y Coordinate for starting the line
+ * @param {Color} Color to draw the line
+ * @param {int} Angle for the line to rotate around (in degrees)
+ **/
+FocusController.prototype.printDebugLine = function(length, startX, startY, color, angle) {
+    'use strict';
+
+    var lineElement = document.createElement('div');
+    lineElement.classList.add('dpad-debug-line');
+    lineElement.classList.add('marker');
+    lineElement.classList.add('start');
+    lineElement.style.position = 'absolute';
+    lineElement.style.width = 5+'px';
+    lineElement.style.height = length+'px';
+    lineElement.style.left = startX+'px';
+    lineElement.style.top = startY+'px';
+    lineElement.style.backgroundColor = color;
+    lineElement.style['-webkit-transform'] = 'rotate('+angle+'deg)';
+    lineElement.style['-webkit-transform-origin'] = '0% 0%';
+    document.body.appendChild(lineElement);
+    this.getDebugLines().push(lineElement);
+};
+
+/**
+ * The given focusable item will be given it's closest
+ * neighbours to traverse on left, right
+ * up and down. Neighbours inside the same section are preferred,
+ * items outside of the section are only used for directions which
+ * have no neighbour inside it.
+ * @function
+ * @param {FocusableItem} Item to update neighbours for
+ **/
+FocusController.prototype.updateNodeEdges = function(currentItem) {
+    'use strict';
+
+    var currentItemMetrics = this.getCachedItemMetrics(currentItem);
+    var currentSection = currentItem.getSection();
+    var direction;
+
+    if(this.isDebugMode() && currentItem.getElement().id === 'debug') {
+        window.debug = true;
+    } else {
+        window.debug = false;
+    }
+
+    var closestItems = this.findClosestItems(currentItem, currentItemMetrics,
+        function(newItem) {
+            return newItem.getSection() === currentSection;
+        });
+
+    if(this.getSectionCount() > 0 && (closestItems.top === null ||
+        closestItems.bottom === null || closestItems.left === null ||
+        closestItems.right === null)) {
+        var outsideItems = this.findClosestItems(currentItem, currentItemMetrics,
+            function(newItem) {
+                return newItem.getSection() !== currentSection;
+            });
+
+        for(direction in closestItems) {
+            if(closestItems[direction] === null) {
+                closestItems[direction] = outsideItems[direction];
+            }
+        }
+    }
+
+    currentItem.resetFocusableItems();
+    for(direction in closestItems) {
+        var override = this.getNeighbourOverride(currentItem, direction);
+        if(override === FocusableItem.NO_NEIGHBOUR) {
+            continue;
+        } else if(override !== null) {
+            currentItem.setNeighbourItem(direction, override);
+        } else if(closestItems[direction] !== null) {
+            currentItem.setNeighbourItem(direction, closestItems[direction].item,
+                closestItems[direction].distance);
+        }
+    }
+};
+
+/**
+ * Get the explicit neighbour of an item in a direction, set either
+ * with FocusableItem.setNeighbourOverride or a data-dpad-up,
+ * data-dpad-down, data-dpad-left or data-dpad-right attribute holding
+ * an element id or selector.
+ * @function
+ * @param {FocusableItem} Item to get the override for
+ * @param {String} Direction, one of top, bottom, left or right
+ * @return {FocusableItem|String} The neighbour, FocusableItem.NO_NEIGHBOUR
+ * if movement is blocked or null if there is no usable override
+ **/
+FocusController.prototype.getNeighbourOverride = function(item, direction) {
+    'use strict';
+
+    var target = item.getNeighbourOverride(direction);
+    if(target === null) {
+        target = item.getElement().getAttribute(
+            FocusController.OVERRIDE_ATTRIBUTES[direction]);
+    }
+
+    if(target === null || target === '') {
+        return null;
+    }
+
+    if(target === FocusableItem.NO_NEIGHBOUR) {
+        return FocusableItem.NO_NEIGHBOUR;
+    }
+
+    var overrideItem = null;
+    if(typeof target === 'string') {
+        overrideItem = this.findOverrideItem(target);
+    } else if(target instanceof FocusableItem) {
+        overrideItem = target;
+    } else {
+        overrideItem = this.getFocusableItemForElement(target);
+    }
+
+    // Fall back to the computed neighbour if the target can't be
+    // navigated to
+    if(overrideItem === null || overrideItem === item ||
+        !this.isFocusableItem(overrideItem) ||
+        !this.isInActiveLayer(overrideItem) ||
+        !this.isFocusable(overrideItem.getElement())) {
+        return null;
+    }
+
+    return overrideItem;
+};
+
+/**
+ * Find the item an override's element id or selector points to. Only
+ * elements inside the root are searched, so controllers scoped to
+ * different parts of the page can use the same ids and selectors.
+ * @function
+ * @param {String} target An element id or selector
+ * @return {FocusableItem} The first matching item of this controller or
+ * null if there isn't one
+ **/
+FocusController.prototype.findOverrideItem = function(target) {
+    'use strict';
+
+    var root = this.getRoot();
+    var element = document.getElementById(target);
+    if(element !== null && root.contains(element) &&
+        this.getFocusableItemForElement(element) !== null) {
+        return this.getFocusableItemForElement(element);
+    }
+
+    // The page's first element with the id may be outside the root
+    var selectors = ['[id="' + target.replace(/["\\]/g, '\\$&') + '"]', target];
+    for(var i = 0; i < selectors.length; i++) {
+        var matches;
+        try {
+            matches = root.querySelectorAll(selectors[i]);
+        } catch(e) {
+            // Not a valid selector
+            continue;
+        }
+
+        for(var j = 0; j < matches.length; j++) {
+            var item = this.getFocusableItemForElement(matches[j]);
+            if(item !== null) {
+                return item;
+            }
+        }
+    }
+    return null;
+};
+
+/**
+ * Find the closest item in each direction from the
+ * current item, only considering items accepted by the filter.
+ * @function
+ * @param {FocusableItem} Item to find the neighbours of
+ * @param {Metrics} Metrics of the item to find the neighbours of
+ * @param {function} Filter called with each candidate FocusableItem
+ * @return {Object} The closest item and it's distance for each direction
+ **/
+FocusController.prototype.findClosestItems = function(currentItem, currentItemMetrics, filter) {
+    'use strict';
+
+    var closestItems = {
+        top: null,
+        bottom: null,
+        left: null,
+        right: null
+    };
+
+    // The spatial index only holds items which can be focused inside
+    // the active layer. One function scores every direction, so no
+    // function is made for each lookup.
+    var debug = window.debug;
+    var getDistance = function(newItem, newItemMetrics, direction) {
+        // If the element is the current element or is filtered out,
+        // skip it.
+        if(newItem === currentItem || !filter(newItem)) {
+            return null;
+        }
+
+        var distance = this.getDirectionDistance(direction, currentItemMetrics, newItemMetrics);
+
+        if(debug) {
+            console.log('New Element to Test: ', newItem.getElement());
+            console.log('distance ' + direction + ': ', distance);
+        }
+
+        return distance;
+    }.bind(this);
+
+    var spatialIndex = this.getSpatialIndex();
+    for(var direction in closestItems) {
+        closestItems[direction] = spatialIndex.findNearest(currentItemMetrics,
+            direction, getDistance, this.getScoringPruning(direction));
+    }
+
+    return closestItems;
+};
+
+/**
+ * When a move crosses into another section, the section's enter rule
+ * decides which item should actually receive focus.
+ * @function
+ * @param {FocusableItem} Item the focus is moving from
+ * @param {FocusableItem} The geometrically nearest item
+ * @return {FocusableItem} The item to focus
+ **/
+FocusController.prototype.getSectionEntryItem = function(fromItem, nearestItem) {
+    'use strict';
+
+    var section = nearestItem.getSection();
+    if(section === null || section === fromItem.getSection()) {
+        return nearestItem;
+    }
+
+    // Sections with focus memory restore the item the user left them on
+    if(section.isFocusMemoryEnabled()) {
+        var rememberedItem = this.getRememberedItem(section);
+        if(rememberedItem !== null) {
+            return rememberedItem;
+        }
+    }
+
+    switch(section.getEnterRule()) {
+        case FocusSection.ENTER_FIRST:
+            var itemCount = this.getFocusableItemCount();
+            for(var i = 0; i < itemCount; i++) {
+                var item = this.getFocusableItem(i);
+                if(item.getSection() === section && this.isInActiveLayer(item) &&
+                    this.isFocusable(item.getElement())) {
+                    return item;
+                }
+            }
+            break;
+    }
+
+    return nearestItem;
+};
+
+/**
+ * Get the item a section remembers as focused last, if it can still be
+ * navigated to
+ * @function
+ * @param {FocusSection|DOMElement} The section or it's container element
+ * @return {FocusableItem} The remembered item or null
+ **/
+FocusController.prototype.getRememberedItem = function(section) {
+    'use strict';
+
+    if(section !== null && !(section instanceof FocusSection)) {
+        section = this.getSectionByElement(section);
+    }
+
+    if(section === null) {
+        return null;
+    }
+
+    var item = section.getLastFocusedItem();
+    if(item === null || !this.isFocusableItem(item) ||
+        !this.isInActiveLayer(item) || !this.isFocusable(item.getElement())) {
+        return null;
+    }
+
+    return item;
+};
+
+/**
+ * Forget the item a section remembers as focused last, or the items
+ * remembered by every section if no section is given
+ * @function
+ * @param {FocusSection|DOMElement} The section or it's container element
+ **/
+FocusController.prototype.clearRememberedItem = function(section) {
+    'use strict';
+
+    if(typeof section === 'undefined' || section === null) {
+        var itemCount = this.getFocusableItemCount();
+        for(var i = 0; i < itemCount; i++) {
+            var itemSection = this.getFocusableItem(i).getSection();
+            if(itemSection !== null) {
+                itemSection.setLastFocusedItem(null);
+            }
+        }
+        return;
+    }
+
+    if(!(section instanceof FocusSection)) {
+        section = this.getSectionByElement(section);
+    }
+
+    if(section !== null) {
+        section.setLastFocusedItem(null);
+    }
+};
+
+/**
+ * Check whether an element can be navigated to. It has to be
+ * interactive, visible and pass the app's focusable predicate if one
+ * has been set.
+ * @function
+ * @param {DOMElement} element
+ **/
+FocusController.prototype.isFocusable = function(element) {
+    'use strict';
+
+    var cache = this.getFocusableCache();
+    if(cache !== null && cache.elements.has(element)) {
+        return cache.elements.get(element);
+    }
+
+    var focusable = this.isInteractive(element) && this.isVisible(element);
+    var predicate = this.getFocusablePredicate();
+    if(focusable && predicate !== null) {
+        focusable = predicate(element) !== false;
+    }
+
+    if(cache !== null) {
+        cache.elements.set(element, focusable);
+    }
+    return focusable;
+};
+
+/**
+ * Check whether an element takes focus and input, it needs a tabindex
+ * and mustn't be disabled
+ * @function
+ * @param {DOMElement} element
+ **/
+FocusController.prototype.isInteractive = function(element) {
+    'use strict';
+
+    var tabIndex = element.getAttribute('tabindex');
+    tabIndex = (tabIndex === null) ? -1 : tabIndex;
+    if(tabIndex <= -1) {
+        return false;
+    }
+
+    // :disabled also covers controls inside a disabled fieldset
+    return element.disabled !== true &&
+        !(element.matches && element.matches(':disabled'));
+};
+
+/**
+ * Check whether an element can be seen. Elements which are hidden, have
+ * no size, sit inside a hidden, inert or aria-hidden ancestor, or are
+ * clipped completely out of an overflow hidden ancestor can't.
+ * @function
+ * @param {DOMElement} element
+ **/
+FocusController.prototype.isVisible = function(element) {
+    'use strict';
+
+    // Inline styles are checked first as they don't need a style recalc
+    if(element.style.display === 'none' || element.style.visibility === 'hidden') {
+        return false;
+    }
+
+    var state = this.getContainerState(element);
+    if(state.hidden || state.invisible) {
+        return false;
+    }
+
+    var rect = element.getBoundingClientRect();
+    if(rect.width <= 0 || rect.height <= 0) {
+        return false;
+    }
+
+    var parent = element.parentNode;
+    if(!parent || parent.nodeType !== 1) {
+        return true;
+    }
+
+    var clips = this.getContainerState(parent).clips;
+    for(var i = 0; i < clips.length; i++) {
+        var clip = clips[i];
+        if(clip.x && (rect.right <= clip.rect.left || rect.left >= clip.rect.right)) {
+            return false;
+        }
+        if(clip.y && (rect.bottom <= clip.rect.top || rect.top >= clip.rect.bottom)) {
+            return false;
+        }
+    }
+
+    return true;
+};
+
+/**
+ * Get whether an element hides everything inside it and the overflow
+ * hidden boxes which clip its children. Each element's state builds on
+ * its parent's, so while the focusable cache is running every ancestor
+ * is only read once.
+ * @function
+ * @param {DOMElement} element
+ * @return {Object} hidden, invisible when the element's own visibility
+ * hides it, and an array of clips, each with the clipping rect and
+ * whether it clips along x and y
+ **/
+FocusController.prototype.getContainerState = function(element) {
+    'use strict';
+
+    var cache = this.getFocusableCache();
+    if(cache !== null && cache.containers.has(element)) {
+        return cache.containers.get(element);
+    }
+
+    var state = {
+        hidden: false,
+        invisible: false,
+        clips: []
+    };
+    var parent = element.parentNode;
+    if(parent && parent.nodeType === 1) {
+        var parentState = this.getContainerState(parent);
+        state.hidden = parentState.hidden;
+        state.clips = parentState.clips;
+    }
+
+    if(!state.hidden) {
+        var style = window.getComputedStyle(element);
+        if(style.display === 'none' || element.hasAttribute('inert') ||
+            element.getAttribute('aria-hidden') === 'true') {
+            state.hidden = true;
+        } else {
+            // Children can override visibility, so unlike hidden it isn't
+            // passed on
+            state.invisible = style.visibility === 'hidden' ||
+                style.visibility === 'collapse';
+
+            // The page scrolls to anything clipped by the viewport, but
+            // nothing scrolls an overflow hidden box
+            var clipX = /hidden|clip/.test(style.overflowX);
+            var clipY = /hidden|clip/.test(style.overflowY);
+            if((clipX || clipY) && element !== document.body &&
+                element !== document.documentElement) {
+                state.clips = state.clips.concat([{
+                    rect: element.getBoundingClientRect(),
+                    x: clipX,
+                    y: clipY
+                }]);
+            }
+        }
+    }
+
+    if(cache !== null) {
+        cache.containers.set(element, state);
+    }
+    return state;
+};
+
+/**
+ * Work out which item focus should move to from an item, applying
+ * explicit overrides, wrapping and section enter rules to the
+ * neighbour in the focus graph.
+ * @function
+ * @param {FocusableItem} Item the focus is moving from
+ * @param {String} Direction, one of top, bottom, left or right
+ * @return {FocusableItem} The item to focus or null to stay put
+ **/
+FocusController.prototype.getNextItem = function(fromItem, direction) {
+    'use strict';
+
+    var nextItem = fromItem.getNeighbourItem(direction);
+
+    // Explicit overrides aren't wrapped or redirected by the section's
+    // enter rule
+    if(this.getNeighbourOverride(fromItem, direction) !== null) {
+        return nextItem;
+    }
+
+    // A section with it's own wrap mode wraps before focus can leave it
+    var section = fromItem.getSection();
+    var sectionWraps = section !== null && section.getWrapMode() !== null;
+    if(nextItem === null || (sectionWraps && nextItem.getSection() !== section)) {
+        var wrapItem = this.getWrapItem(fromItem, direction);
+        if(wrapItem !== null) {
+            return wrapItem;
+        }
+    }
+
+    if(nextItem === null) {
+        return null;
+    }
+
+    return this.getSectionEntryItem(fromItem, nextItem);
+};
+
+/**
+ * Find the registered item an event target belongs to, which is the
+ * target itself or the closest of it's ancestors with an item
+ * @function
+ * @param {DOMElement} target
+ * @return {FocusableItem} The item or null
+ **/
+FocusController.prototype.getItemForTarget = function(target) {
+    'use strict';
+
+    var element = target;
+    while(element && element.nodeType === 1) {
+        var item = this.getFocusableItemForElement(element);
+        if(item !== null) {
+            return item;
+        }
+        element = element.parentNode;
+    }
+    return null;
+};
+
+/**
+ * Ask the edge handler to render more items when a move would leave a
+ * virtualized section or stop at its edge
+ * @function
+ * @param {FocusableItem} Item the focus is moving from
+ * @param {String} direction One of top, bottom, left or right
+ * @return {Boolean} True if the move should wait for more items
+ **/
+FocusController.prototype.requestMoreItems = function(fromItem, direction) {
+    'use strict';
+
+    var section = fromItem.getSection();
+    var handler = this.getEdgeHandler();
+    if(handler === null || section === null || !section.isVirtual() ||
+        this.getNeighbourOverride(fromItem, direction) !== null) {
+        return false;
+    }
+
+    var neighbour = fromItem.getNeighbourItem(direction);
+    if(neighbour !== null && neighbour.getSection() === section) {
+        return false;
+    }
+
+    return handler(direction, fromItem, section) === true;
+};
+
+/**
+ * Find the item to move to for a direction vector which isn't purely
+ * horizontal or vertical, such as a diagonal from an 8-way remote or
+ * the angle of an analog stick. Candidates have to lie within
+ * FocusController.MAX_VECTOR_ANGLE of the vector and are scored by their
+ * distance plus a penalty for how far they are off the vector.
+ * @function
+ * @param {FocusableItem} Item the focus is moving from
+ * @param {Object} Direction vector {x, y}, with y pointing up
+ * @return {FocusableItem} The item to focus or null to stay put
+ **/
+FocusController.prototype.getItemAlongVector = function(fromItem, direction) {
+    'use strict';
+
+    var fromMetrics = this.getCachedItemMetrics(fromItem);
+    var section = fromItem.getSection();
+
+    // Screen coordinates grow downwards
+    var length = Math.sqrt((direction.x * direction.x) + (direction.y * direction.y));
+    var unitX = direction.x / length;
+    var unitY = -direction.y / length;
+    var maxAngle = FocusController.MAX_VECTOR_ANGLE * (Math.PI / 180);
+
+    var closestInSection = null;
+    var closestOutside = null;
+    var itemCount = this.getFocusableItemCount();
+    this.startFocusableCache();
+    for(var i = 0; i < itemCount; i++) {
+        var item = this.getFocusableItem(i);
+        if(item === fromItem || !this.isInActiveLayer(item) ||
+            !this.isFocusable(item.getElement())) {
+            continue;
+        }
+
+        var toMetrics = this.getCachedItemMetrics(item);
+        var xDist = toMetrics.center.x - fromMetrics.center.x;
+        var yDist = toMetrics.center.y - fromMetrics.center.y;
+        var distance = Math.sqrt((xDist * xDist) + (yDist * yDist));
+        var alongDistance = (xDist * unitX) + (yDist * unitY);
+        if(distance === 0 || alongDistance <= 0) {
+            continue;
+        }
+
+        var angle = Math.acos(Math.min(1, alongDistance / distance));
+        if(angle > maxAngle) {
+            continue;
+        }
+
+        var offDistance = distance * Math.sin(angle);
+        var score = distance + (offDistance * this.getVectorOffAxisWeight());
+        if(item.getSection() === section) {
+            if(closestInSection === null || score < closestInSection.score) {
+                closestInSection = {item: item, score: score};
+            }
+        } else if(closestOutside === null || score < closestOutside.score) {
+            closestOutside = {item: item, score: score};
+        }
+    }
+    this.stopFocusableCache();
+
+    // Like four way movement, stay inside the section if possible
+    if(closestInSection !== null) {
+        return closestInSection.item;
+    } else if(closestOutside !== null) {
+        return this.getSectionEntryItem(fromItem, closestOutside.item);
+    }
+
+    return null;
+};
+
+/**
+ * Find the item to wrap around to when there is no neighbour in a
+ * direction. Only items in the same section are considered.
+ * @function
+ * @param {FocusableItem} Item the focus is moving from
+ * @param {String} Direction, one of top, bottom, left or right
+ * @return {FocusableItem} The item to wrap to or null
+ **/
+FocusController.prototype.getWrapItem = function(fromItem, direction) {
+    'use strict';
+
+    var section = fromItem.getSection();
+    var mode = (section !== null && section.getWrapMode() !== null) ?
+        section.getWrapMode() : this.getWrapMode();
+    if(mode !== FocusController.WRAP_ROW && mode !== FocusController.WRAP_FLOW) {
+        return null;
+    }
+
+    // Rows are used for horizontal movement and columns for vertical
+    // movement, each item is reduced to it's position in the line and
+    // the span it covers across the lines
+    var isHorizontal = direction === 'left' || direction === 'right';
+    var isForward = direction === 'right' || direction === 'bottom';
+    var getLinePosition = function(metrics) {
+        return {
+            item: null,
+            position: isHorizontal ? metrics.center.x : metrics.center.y,
+            center: isHorizontal ? metrics.center.y : metrics.center.x,
+            start: isHorizontal ? metrics.top : metrics.left,
+            end: isHorizontal ? metrics.bottom : metrics.right
+        };
+    };
+    var isSameLine = function(a, b) {
+        return (a.center >= b.start && a.center <= b.end) ||
+            (b.center >= a.start && b.center <= a.end);
+    };
+
+    var from = getLinePosition(this.getCachedItemMetrics(fromItem));
+    var candidates = [];
+    var candidate;
+    var itemCount = this.getFocusableItemCount();
+    this.startFocusableCache();
+    for(var i = 0; i < itemCount; i++) {
+        var item = this.getFocusableItem(i);
+        if(item === fromItem || item.getSection() !== section ||
+            !this.isInActiveLayer(item) || !this.isFocusable(item.getElement())) {
+            continue;
+        }
+
+        candidate = getLinePosition(this.getCachedItemMetrics(item));
+        candidate.item = item;
+        candidates.push(candidate);
+    }
+    this.stopFocusableCache();
+
+    var line = from;
+    if(mode === FocusController.WRAP_FLOW) {
+        // Find the next line in reading order, going back to the first
+        // line after the last one
+        var nextLine = null;
+        var firstLine = null;
+        for(i = 0; i < candidates.length; i++) {
+            candidate = candidates[i];
+            if(firstLine === null || (isForward ? candidate.center < firstLine.center :
+                candidate.center > firstLine.center)) {
+                firstLine = candidate;
+            }
+
+            if(isSameLine(candidate, from) ||
+                (isForward ? candidate.center < from.center : candidate.center > from.center)) {
+                continue;
+            }
+
+            if(nextLine === null || (isForward ? candidate.center < nextLine.center :
+                candidate.center > nextLine.center)) {
+                nextLine = candidate;
+            }
+        }
+
+        line = nextLine !== null ? nextLine : firstLine;
+        if(line === null) {
+            return null;
+        }
+    }
+
+    // Pick the item at the start of the line, or the end when moving
+    // backwards
+    var wrapItem = null;
+    for(i = 0; i < candidates.length; i++) {
+        candidate = candidates[i];
+        if(!isSameLine(candidate, line)) {
+            continue;
+        }
+
+        if(wrapItem === null || (isForward ? candidate.position < wrapItem.position :
+            candidate.position > wrapItem.position)) {
+            wrapItem = candidate;
+        }
+    }
+
+    return wrapItem !== null ? wrapItem.item : null;
+};
+
+/**
+ * Get the name of the direction a direction vector points in, or null
+ * if it isn't purely horizontal or vertical
+ * @function
+ * @param {Object} Direction vector {x, y}
+ * @return {String} One of top, bottom, left or right
+ **/
+FocusController.prototype.getDirectionName = function(direction) {
+    'use strict';
+
+    if(direction.y === 0 && direction.x !== 0) {
+        return direction.x > 0 ? 'right' : 'left';
+    } else if(direction.x === 0 && direction.y !== 0) {
+        return direction.y > 0 ? 'top' : 'bottom';
+    }
+
+    return null;
+};
+
+/**
+ * Find the distance from the current elements (fromMetrics),
+ * to the (toMetrics) element in the given direction, using the
+ * current scoring strategy
+ * @function
+ * @param {String} Direction, one of top, bottom, left or right
+ * @param {Metrics} Starting elements metrics
+ * @param {Metrics} Finishing elements metrics
+ **/
+FocusController.prototype.getDirectionDistance = function(direction, fromMetrics, toMetrics) {
+    'use strict';
+
+    return this.getScoringStrategy().getDistance(fromMetrics, toMetrics,
+        direction, this.getOffAxisWeight(direction));
+};
+
+/**
+ * Get the lower bounds of the scoring strategy in the form the
+ * SpatialIndex uses to skip cells, or null if the strategy doesn't
+ * describe any and every candidate has to be scored
+ * @function
+ * @param {String} Direction, one of top, bottom, left or right
+ **/
+FocusController.prototype.getScoringPruning = function(direction) {
+    'use strict';
+
+    var strategy = this.getScoringStrategy();
+    if(!strategy.boundedAlongAxis) {
+        return null;
+    }
+
+    return {
+        offAxisFactor: strategy.getOffAxisFactor ?
+            strategy.getOffAxisFactor(this.getOffAxisWeight(direction)) : 0,
+        pastEdge: strategy.pastEdge === true
+    };
+};
+
+/**
+ * Find the distance from the current elements (fromMetrics),
+ * to the (toMetrics) element, if the element is in the up
+ * direction.
+ * @function
+ * @param {Metrics} Starting elements metrics
+ * @param {Metrics} Finishing elements metrics
+ **/
+FocusController.prototype.getTopDistance = function(fromMetrics, toMetrics) {
+    'use strict';
+
+    return this.getDirectionDistance('top', fromMetrics, toMetrics);
+};
+
+/**
+ * Find the distance from the current elements (fromMetrics),
+ * to the (toMetrics) element, if the element is in the down
+ * direction.
+ * @function
+ * @param {Metrics} Starting elements metrics
+ * @param {Metrics} Finishing elements metrics
+ **/
+FocusController.prototype.getBottomDistance = function(fromMetrics, toMetrics) {
+    'use strict';
+
+    return this.getDirectionDistance('bottom', fromMetrics, toMetrics);
+};
 
-        angle = ((Math.atan2(xDist, yDist) * 180) / Math.PI) + 180;
+/**
+ * Find the distance from the current elements (fromMetrics),
+ * to the (toMetrics) element, if the element is in the left
+ * direction.
+ * @function
+ * @param {Metrics} Starting elements metrics
+ * @param {Metrics} Finishing elements metrics
+ **/
+FocusController.prototype.getLeftDistance = function(fromMetrics, toMetrics) {
+    'use strict';
 
-        this.printDebugLine(this.calcDistance(xDist, yDist), currentItemMetrics.right, currentItemMetrics.center.y - 5, markerColor, angle);
-    }
+    return this.getDirectionDistance('left', fromMetrics, toMetrics);
 };
 
 /**
- * Prints a single line for the given parameters
+ * Find the distance from the current elements (fromMetrics),
+ * to the (toMetrics) element, if the element is in the right
+ * direction.
  * @function
- * @param {int} Length of line
- * @param {int} X Coordinate for starting the line
- * @param {int} Y Coordinate for starting the line
- * @param {Color} Color to draw the line
- * @param {int} Angle for the line to rotate around (in degrees)
+ * @param {Metrics} Starting elements metrics
+ * @param {Metrics} Finishing elements metrics
  **/
-FocusController.prototype.printDebugLine = function(length, startX, startY, color, angle) {
+FocusController.prototype.getRightDistance = function(fromMetrics, toMetrics) {
     'use strict';
 
-    var lineElement = document.createElement('div');
-    lineElement.classList.add('dpad-debug-line');
-    lineElement.classList.add('marker');
-    lineElement.classList.add('start');
-    lineElement.style.position = 'absolute';
-    lineElement.style.width = 5+'px';
-    lineElement.style.height = length+'px';
-    lineElement.style.left = startX+'px';
-    lineElement.style.top = startY+'px';
-    lineElement.style.backgroundColor = color;
-    lineElement.style['-webkit-transform'] = 'rotate('+angle+'deg)';
-    lineElement.style['-webkit-transform-origin'] = '0% 0%';
-    document.body.appendChild(lineElement);
+    return this.getDirectionDistance('right', fromMetrics, toMetrics);
 };
 
 /**
- * Given an index, the focusable element at that index will
- * be given it's closest neighbours to traverse on left, right
- * up and down.
+ * Get the size and distance of the element relative 
+ * to the viewport
  * @function
- * @param {int} Index of element to update neighbours for
+ * @param {DomElement} Element to get full metrics
  **/
-FocusController.prototype.updateNodeEdges = function(currentIndex) {
+FocusController.prototype.getItemMetrics = function(item) {
     'use strict';
 
-    var currentItem = this.getFocusableItem(currentIndex);
-    var currentItemMetrics = this.getItemMetrics(currentItem.getElement());
+    var clientRect = item.getBoundingClientRect();
+    var scrollOffset = this.getScrollOffset(item);
+    var left = clientRect.left + scrollOffset.x;
+    var top = clientRect.top + scrollOffset.y;
+    var metrics = {
+        width: clientRect.width,
+        height: clientRect.height,
+        left: left,
+        right: left + clientRect.width,
+        top: top,
+        bottom: top + clientRect.height,
+        center: {
+            x: left + (clientRect.width / 2),
+            y: top + (clientRect.height / 2)
+        }
+    };
+
+    return metrics;
+};
 
-    var itemCount = this.getFocusableItemCount();
+/**
+* Get how far the page and every scroll container around an element are
+* scrolled. Adding this to the element's client rect gives a position
+* which doesn't change when anything scrolls, so the focus graph stays
+* valid across scrolling.
+* @function
+* @param {DOMElement} element
+* @return {Object} The total scroll offset {x, y}
+*/
+FocusController.prototype.getScrollOffset = function(element) {
+    'use strict';
 
-    var minTopElementDist;
-    var minBottomElementDist;
-    var minLeftElementDist;
-    var minRightElementDist;
+    var offset = {
+        x: window.pageXOffset || 0,
+        y: window.pageYOffset || 0
+    };
 
-    if(this.isDebugMode() && currentItem.getElement().id === 'debug') {
-        window.debug = true;
-    } else {
-        window.debug = false;
+    var scrollingElement = document.scrollingElement || document.documentElement;
+    var parent = element.parentNode;
+    while(parent && parent.nodeType === 1 && parent !== scrollingElement &&
+        parent !== document.body) {
+        offset.x += parent.scrollLeft;
+        offset.y += parent.scrollTop;
+        parent = parent.parentNode;
     }
 
-    for(var i = 0; i < itemCount; i++) {
-        var newItem = this.getFocusableItem(i);
-        // If the element can't be focused, or is the current element,
-        // skip it.
-        if(!this.isFocusable(newItem.getElement()) || newItem === currentItem) {
-            continue;
-        }
+    return offset;
+};
 
-        var newItemMetrics = this.getItemMetrics(newItem.getElement());
-        var distanceTop = this.getTopDistance(currentItemMetrics, newItemMetrics);
-        var distanceBottom = this.getBottomDistance(currentItemMetrics, newItemMetrics);
-        var distanceLeft = this.getLeftDistance(currentItemMetrics, newItemMetrics);
-        var distanceRight = this.getRightDistance(currentItemMetrics, newItemMetrics);
+/**
+* Get the closest ancestor of an element which scrolls it's content, or
+* null if only the page scrolls
+* @function
+* @param {DOMElement} element
+*/
+FocusController.prototype.getScrollContainer = function(element) {
+    'use strict';
 
-        if(window.debug) {
-            console.log('New Element to Test: ', newItem.getElement());
-            console.log('distanceTop: ', distanceTop);
-            console.log('distanceBottom: ', distanceBottom);
-            console.log('distanceLeft: ', distanceLeft);
-            console.log('distanceRight: ', distanceRight);
+    var parent = element.parentNode;
+    while(parent && parent.nodeType === 1 && parent !== document.body &&
+        parent !== document.documentElement) {
+        var style = window.getComputedStyle(parent);
+        if(/auto|scroll/.test(style.overflowX + ' ' + style.overflowY) &&
+            (parent.scrollHeight > parent.clientHeight ||
+            parent.scrollWidth > parent.clientWidth)) {
+            return parent;
         }
+        parent = parent.parentNode;
+    }
 
-        if(distanceTop !== null && (typeof minTopElementDist === 'undefined' || minTopElementDist > distanceTop)) {
-            minTopElementDist = distanceTop;
+    return null;
+};
 
-            currentItem.setTopFocusItemIndex(i);
-        }
+/**
+* Get how far to scroll along one axis to bring an element into view
+* @function
+* @param {Number} start Start of the element relative to the visible area
+* @param {Number} size Size of the element
+* @param {Number} viewSize Size of the visible area
+* @param {Object} options The scroll options
+* @return {Number} The distance to scroll
+*/
+FocusController.prototype.getScrollDelta = function(start, size, viewSize, options) {
+    'use strict';
 
-        if(distanceBottom !== null && (typeof minBottomElementDist === 'undefined' || minBottomElementDist > distanceBottom)) {
-            minBottomElementDist = distanceBottom;
+    switch(options.mode) {
+        case FocusController.SCROLL_CENTER:
+            return (start + (size / 2)) - (viewSize / 2);
+        case FocusController.SCROLL_OFFSET:
+            return start - options.offset;
+    }
 
-            currentItem.setBottomFocusItemIndex(i);
-        }
+    // Scroll as little as possible, keeping the offset as a margin
+    if(start < options.offset) {
+        return start - options.offset;
+    } else if(start + size > viewSize - options.offset) {
+        return Math.min(start - options.offset,
+            (start + size) - (viewSize - options.offset));
+    }
+    return 0;
+};
 
-        if(distanceLeft !== null && (typeof minLeftElementDist === 'undefined' || minLeftElementDist > distanceLeft)) {
-            minLeftElementDist = distanceLeft;
+/**
+* Scroll an element into view as set by the scroll options, first within
+* it's scroll containers and then within the page
+* @function
+* @param {DOMElement} element
+*/
+FocusController.prototype.scrollIntoView = function(element) {
+    'use strict';
 
-            currentItem.setLeftFocusItemIndex(i);
+    var options = this.getScrollOptions();
+    var behavior = options.smooth ? 'smooth' : 'auto';
+    var target = element;
+    var container = this.getScrollContainer(target);
+
+    while(container !== null) {
+        var containerRect = container.getBoundingClientRect();
+        var targetRect = target.getBoundingClientRect();
+        var viewLeft = containerRect.left + container.clientLeft;
+        var viewTop = containerRect.top + container.clientTop;
+        // Only axes with overflowing content are scrolled
+        var deltaX = (container.scrollWidth <= container.clientWidth) ? 0 :
+            this.getScrollDelta(targetRect.left - viewLeft, targetRect.width,
+            container.clientWidth, options);
+        var deltaY = (container.scrollHeight <= container.clientHeight) ? 0 :
+            this.getScrollDelta(targetRect.top - viewTop, targetRect.height,
+            container.clientHeight, options);
+
+        if(deltaX === 0 && deltaY === 0) {
+            // Already in place
+        } else if(typeof container.scrollTo === 'function') {
+            container.scrollTo({
+                left: container.scrollLeft + deltaX,
+                top: container.scrollTop + deltaY,
+                behavior: behavior
+            });
+        } else {
+            container.scrollLeft += deltaX;
+            container.scrollTop += deltaY;
         }
 
-        if(distanceRight !== null && (typeof minRightElementDist === 'undefined' || minRightElementDist > distanceRight)) {
-            minRightElementDist = distanceRight;
+        // The container itself may need scrolling into view next
+        target = container;
+        container = this.getScrollContainer(target);
+    }
 
-            currentItem.setRightFocusItemIndex(i);
-        }
+    var rect = target.getBoundingClientRect();
+    var scrollingElement = document.scrollingElement || document.documentElement;
+    var viewWidth = window.innerWidth || scrollingElement.clientWidth;
+    var viewHeight = window.innerHeight || scrollingElement.clientHeight;
+    var pageDeltaX = (scrollingElement.scrollWidth <= viewWidth) ? 0 :
+        this.getScrollDelta(rect.left, rect.width, viewWidth, options);
+    var pageDeltaY = (scrollingElement.scrollHeight <= viewHeight) ? 0 :
+        this.getScrollDelta(rect.top, rect.height, viewHeight, options);
+    if(pageDeltaX !== 0 || pageDeltaY !== 0) {
+        window.scrollTo({
+            left: window.pageXOffset + pageDeltaX,
+            top: window.pageYOffset + pageDeltaY,
+            behavior: behavior
+        });
     }
 };
 
-FocusController.prototype.isFocusable = function(element) {
+/**
+* Start an action from any input, such as a key or gamepad button being
+* pressed. Only the active controller starts actions.
+* @function
+* @param {String} action One of the KeyMap.* actions
+* @param {Event} event The input event, if there is one
+* @return {Boolean} True if the action was handled
+*/
+FocusController.prototype.startAction = function (action, event) {
     'use strict';
 
-    if(element.style.display === 'none' || element.style.visibility === 'hidden') {
+    if(!this.isActive()) {
         return false;
     }
 
-    var tabIndex = element.getAttribute('tabindex');
-    tabIndex = (tabIndex === null) ? -1 : tabIndex;
-    return tabIndex > -1;
-};
+    if(action !== null) {
+        // Keys resume from the item the pointer left current
+        this.setInputMode(FocusController.MODE_KEY);
+    }
 
-/**
- * Find the distance from the current elements (fromMetrics),
- * to the (toMetrics) element, if the element is in the up
- * direction.
- * @function
- * @param {Metrics} Starting elements metrics
- * @param {Metrics} Finishing elements metrics
- **/
-FocusController.prototype.getTopDistance = function(fromMetrics, toMetrics) {
-    'use strict';
+    // Leaving the key to the browser lets the control act on it
+    if(this.isLeftToControl(action, event)) {
+        return false;
+    }
 
-    // Move Up
-    var distance = {x: null, y: null};
-    
+    switch(action) {
+        case null:
+            return false;
+        case KeyMap.LEFT:
+        case KeyMap.UP:
+        case KeyMap.RIGHT:
+        case KeyMap.DOWN:
+            this.startDirection(FocusController.ACTION_DIRECTIONS[action]);
+            return true;
+        case KeyMap.SELECT:
+            if(this.getControlMode(document.activeElement) === FocusController.CONTROL_EDIT) {
+                this.startEditing(document.activeElement);
+                return true;
+            }
+            this.startSelect();
+            return true;
+        case KeyMap.BACK:
+            if(this.getEditingElement() !== null) {
+                this.stopEditing();
+                return true;
+            }
 
-    if (toMetrics.bottom <= fromMetrics.top) {
-        distance.y = fromMetrics.center.y - toMetrics.center.y;
+            // Callbacks bound to back run when there's nothing to go back to
+            if(this.goBack(event)) {
+                return true;
+            }
+            break;
     }
 
-    distance.left = Math.abs(fromMetrics.center.x - toMetrics.left);
-    distance.right = Math.abs(fromMetrics.center.x - toMetrics.right);
+    // Other actions are handled by the callbacks bound to them
+    return this.getKeyMap().triggerAction(action, event);
+};
 
-    distance.x = Math.min(Math.abs(fromMetrics.center.x - toMetrics.left),
-               Math.abs(fromMetrics.center.x - toMetrics.center.x),
-               Math.abs(fromMetrics.center.x - toMetrics.right));
+/**
+* Get the type of form control an element is, or null if it isn't one
+* which handles the arrow keys itself
+* @function
+* @param {DOMElement} element
+* @return {String} One of text, textarea, select, range or number
+*/
+FocusController.prototype.getControlType = function (element) {
+    'use strict';
 
-    if(distance.left === null || distance.right === null || distance.y === null) {
+    if(!element || element.nodeType !== 1) {
         return null;
     }
 
-    var angleLeft = Math.atan(distance.y / distance.left) * (180/Math.PI);
-    var angleRight = Math.atan(distance.y / distance.right) * (180/Math.PI);
-    // If the angle is too shallow it's not really up
-    if(window.debug) {
-        console.log('Top Angle Left = '+angleLeft+' Right = '+angleRight);
-    }
-    if(!(angleLeft >= 0 && angleRight <= 180)) {
+    var tagName = element.tagName.toLowerCase();
+    if(tagName === 'textarea' || tagName === 'select') {
+        return tagName;
+    } else if(tagName !== 'input') {
         return null;
     }
 
-    return this.calcDistance(distance.x, distance.y);
+    var type = (element.getAttribute('type') || 'text').toLowerCase();
+    if(type === 'range' || type === 'number') {
+        return type;
+    } else if(FocusController.TEXT_INPUT_TYPES.indexOf(type) !== -1) {
+        return 'text';
+    }
+    return null;
 };
 
 /**
- * Find the distance from the current elements (fromMetrics),
- * to the (toMetrics) element, if the element is in the down
- * direction.
- * @function
- * @param {Metrics} Starting elements metrics
- * @param {Metrics} Finishing elements metrics
- **/
-FocusController.prototype.getBottomDistance = function(fromMetrics, toMetrics) {
+* Get how a form control handles the arrow keys and Enter, from its
+* data-dpad-control attribute or the mode set for its type
+* @function
+* @param {DOMElement} element
+* @return {String} One of the FocusController.CONTROL_* values, or null
+* if the element isn't a form control
+*/
+FocusController.prototype.getControlMode = function (element) {
     'use strict';
 
-    // Move Down
-    var distance = {x: null, y: null};
-    var directlyBelow = false;
+    var type = this.getControlType(element);
+    if(type === null) {
+        return null;
+    }
 
-    if (fromMetrics.bottom <= toMetrics.top) {
-        distance.y = toMetrics.center.y - fromMetrics.center.y;
+    if(element.hasAttribute('data-dpad-control')) {
+        return element.getAttribute('data-dpad-control');
     }
 
-    distance.left = Math.abs(fromMetrics.center.x - toMetrics.left);
-    distance.right = Math.abs(fromMetrics.center.x - toMetrics.right);
+    var mode = this.getControlModes()[type];
+    return mode ? mode : FocusController.CONTROL_NAVIGATE;
+};
 
-    distance.x = Math.min(Math.abs(fromMetrics.center.x - toMetrics.left),
-        Math.abs(fromMetrics.center.x - toMetrics.center.x),
-         Math.abs(fromMetrics.center.x - toMetrics.right));
+/**
+* Check whether an action should be left for the focused form control to
+* handle instead of navigating
+* @function
+* @param {String} action One of the KeyMap.* actions
+* @param {Event} event The input event, if there is one
+*/
+FocusController.prototype.isLeftToControl = function (action, event) {
+    'use strict';
 
-    if(distance.x === null || distance.y === null) {
-        return null;
+    // Only key events reach the control, other inputs always navigate
+    if(action === null || !event) {
+        return false;
     }
 
+    var element = document.activeElement;
+    switch(this.getControlMode(element)) {
+        case FocusController.CONTROL_EDIT:
+            return this.getEditingElement() === element && action !== KeyMap.BACK;
+        case FocusController.CONTROL_BOUNDARY:
+            if(action === KeyMap.SELECT) {
+                return true;
+            }
 
-    var angleLeft = Math.atan(distance.y / distance.left) * (180/Math.PI);
-    var angleRight = Math.atan(distance.y / distance.right) * (180/Math.PI);
-    // If the angle is too shallow it's not really up
-    if(window.debug) {
-        console.log('Bottom Angle Left = '+angleLeft+' Bottom = '+angleRight);
-    }
-    if(!(angleLeft >= 0 && angleRight <= 180)) {
-        return null;
+            var direction = FocusController.ACTION_DIRECTIONS[action];
+            return typeof direction !== 'undefined' &&
+                !this.isAtControlBoundary(element, direction);
     }
 
-    return this.calcDistance(distance.x, distance.y);
+    return false;
 };
 
 /**
- * Find the distance from the current elements (fromMetrics),
- * to the (toMetrics) element, if the element is in the left
- * direction.
- * @function
- * @param {Metrics} Starting elements metrics
- * @param {Metrics} Finishing elements metrics
- **/
-FocusController.prototype.getLeftDistance = function(fromMetrics, toMetrics) {
+* Check whether a form control's caret or value is at the edge it would
+* move towards in a direction, so the arrow should move focus instead
+* @function
+* @param {DOMElement} element
+* @param {Object} direction A direction vector {x, y}, y is up
+*/
+FocusController.prototype.isAtControlBoundary = function (element, direction) {
     'use strict';
 
-    // Move Left
-    var distance = {x: null, y: null};
-    if (toMetrics.right <= fromMetrics.left) {
-        distance.x = fromMetrics.center.x - toMetrics.center.x;
+    var type = this.getControlType(element);
+    var value;
+    switch(type) {
+        case 'text':
+        case 'textarea':
+            if(type === 'text' && direction.y !== 0) {
+                return true;
+            }
+
+            value = element.value;
+            var start = element.selectionStart;
+            var end = element.selectionEnd;
+            if(typeof start !== 'number') {
+                // Email and number inputs don't expose the caret, so
+                // there's no telling where it is and focus moves on
+                return true;
+            } else if(start !== end) {
+                // The arrow collapses the selection first
+                return false;
+            }
+
+            if(direction.x < 0) {
+                return start === 0;
+            } else if(direction.x > 0) {
+                return end === value.length;
+            }
+
+            // Only line breaks are seen, not the lines a textarea wraps
+            if(direction.y > 0) {
+                return start === 0 || value.lastIndexOf('\n', start - 1) === -1;
+            }
+            return value.indexOf('\n', end) === -1;
+        case 'select':
+            if(direction.x !== 0) {
+                return true;
+            }
+            return direction.y > 0 ? element.selectedIndex <= 0 :
+                element.selectedIndex >= element.options.length - 1;
+        case 'range':
+            if(direction.y !== 0) {
+                return true;
+            }
+
+            value = parseFloat(element.value);
+            var min = element.min === '' ? 0 : parseFloat(element.min);
+            var max = element.max === '' ? 100 : parseFloat(element.max);
+            return direction.x < 0 ? value <= min : value >= max;
+        case 'number':
+            if(direction.x !== 0) {
+                return true;
+            }
+
+            value = parseFloat(element.value);
+            var limit = direction.y > 0 ? element.max : element.min;
+            if(limit === '' || isNaN(value)) {
+                return false;
+            }
+            return direction.y > 0 ? value >= parseFloat(limit) :
+                value <= parseFloat(limit);
     }
 
-    distance.top = Math.abs(fromMetrics.center.y - toMetrics.top);
-    distance.bottom = Math.abs(fromMetrics.center.y - toMetrics.bottom);
+    return true;
+};
 
-    distance.y = Math.min(
-                    Math.abs(fromMetrics.center.y - toMetrics.top),
-                    Math.abs(fromMetrics.center.y - toMetrics.center.y),
-                    Math.abs(fromMetrics.center.y - toMetrics.bottom)
-                );
+/**
+* Close the active layer, or return focus to the newest entry in the
+* focus history. A FocusController.EVENT_BACK listener can cancel this
+* to handle back itself, or close an overlay before the layer is popped.
+* @function
+* @param {Event} event The input event, if there is one
+* @return {Boolean} True if back was handled
+*/
+FocusController.prototype.goBack = function (event) {
+    'use strict';
 
-    if(distance.x === null || distance.y === null) {
-        return null;
+    // Holding back shouldn't unwind the whole history
+    if(event && event.repeat) {
+        return true;
     }
 
-    var angleTop = Math.atan(distance.x / distance.top) * (180/Math.PI);
-    var angleBottom = Math.atan(distance.x / distance.bottom) * (180/Math.PI);
-    // If the angle is too shallow it's not really up
-    if(window.debug) {
-        console.log('Left Angle Top = '+angleTop+' Bottom = '+angleBottom);
+    var currentItem = this.getCurrentlyFocusedItem();
+    var layer = this.getActiveLayer();
+    var entry = this.getBackEntry();
+    var target = currentItem ? currentItem.getElement() : this.getRoot();
+    if(!this.dispatchNavigationEvent(target, FocusController.EVENT_BACK,
+        {layer: layer, entry: entry}, true)) {
+        return true;
     }
-    if(!(angleTop >= 0 && angleBottom <= 180)) {
-        return null;
+
+    if(layer !== null) {
+        this.popLayer();
+        return true;
+    }
+
+    entry = this.popFocusHistory();
+    if(entry === null) {
+        return false;
     }
 
-    return this.calcDistance(distance.x, distance.y);
+    this.setCurrentFocusItem(entry.item);
+    return true;
 };
 
 /**
- * Find the distance from the current elements (fromMetrics),
- * to the (toMetrics) element, if the element is in the right
- * direction.
- * @function
- * @param {Metrics} Starting elements metrics
- * @param {Metrics} Finishing elements metrics
- **/
-FocusController.prototype.getRightDistance = function(fromMetrics, toMetrics) {
+* End an action started with startAction, such as a key or gamepad
+* button being released
+* @function
+* @param {String} action One of the KeyMap.* actions
+* @param {Event} event The input event, if there is one
+* @return {Boolean} True if the action was handled
+*/
+FocusController.prototype.endAction = function (action, event) {
+    /* jshint unused: false */
     'use strict';
 
-    // Move Right
-    var distance = {x: null, y: null};
-
-    if (fromMetrics.right <= toMetrics.left) {
-        distance.x = toMetrics.center.x - fromMetrics.center.x;
+    switch(action) {
+        case KeyMap.LEFT:
+        case KeyMap.UP:
+        case KeyMap.RIGHT:
+        case KeyMap.DOWN:
+            this.stopDirection(FocusController.ACTION_DIRECTIONS[action]);
+            return true;
+        case KeyMap.SELECT:
+            this.endSelect();
+            return true;
     }
 
-    distance.top = Math.abs(fromMetrics.center.y - toMetrics.top);
-    distance.bottom = Math.abs(fromMetrics.center.y - toMetrics.bottom);
+    return false;
+};
 
-    distance.y = Math.min(Math.abs(fromMetrics.center.y - toMetrics.top),
-               Math.abs(fromMetrics.center.y - toMetrics.center.y),
-               Math.abs(fromMetrics.center.y - toMetrics.bottom)) * 2;
+/**
+* On a key press this method will handle moving the focus
+* @function
+* @param {KeyboardEvent} event
+*/
+FocusController.prototype.onKeyDown = function (event) {
+    'use strict';
 
-    if(distance.x === null || distance.y === null) {
-        return null;
+    if(!this.isActive()) {
+        return;
     }
 
-    var angleTop = Math.atan(distance.x / distance.top) * (180/Math.PI);
-    var angleBottom = Math.atan(distance.x / distance.bottom) * (180/Math.PI);
-    // If the angle is too shallow it's not really up
-    if(window.debug) {
-        console.log('Right Angle Top = '+angleTop+' Bottom = '+angleBottom);
+    if(this.startAction(this.getKeyMap().getAction(event), event)) {
+        event.preventDefault();
     }
-    if(!(angleTop >= 0 && angleBottom <= 180)) {
-        return null;
+};
+
+/**
+* On a key release this method will finish clicking the focused item
+* @function
+* @param {KeyboardEvent} event
+*/
+FocusController.prototype.onKeyUp = function (event) {
+    'use strict';
+
+    if(!this.isActive()) {
+        return;
     }
 
-    return this.calcDistance(distance.x, distance.y);
+    if(this.endAction(this.getKeyMap().getAction(event), event)) {
+        event.preventDefault();
+    }
 };
 
 /**
- * Get the size and distance of the element relative 
- * to the viewport
- * @function
- * @param {DomElement} Element to get full metrics
- **/
-FocusController.prototype.getItemMetrics = function(item) {
+* Make this the controller which handles key presses. The controller
+* which was active stops any direction it's holding and becomes active
+* again when this one is deactivated.
+* @function
+*/
+FocusController.prototype.activate = function () {
     'use strict';
 
-    var clientRect = item.getBoundingClientRect();
-    var metrics = {
-        width: clientRect.width,
-        height: clientRect.height,
-        left: clientRect.left,
-        right: clientRect.left + clientRect.width,
-        top: clientRect.top,
-        bottom: clientRect.top + clientRect.height,
-        center: {
-            x: clientRect.left + (clientRect.width / 2),
-            y: clientRect.top + (clientRect.height / 2)
-        }
-    };
+    var previousController = FocusController.getActiveController();
+    if(previousController === this || this.isDestroyed()) {
+        return;
+    }
 
-    return metrics;
+    if(previousController !== null) {
+        previousController.stopDirection();
+    }
+
+    this.deactivate();
+    FocusController.activeControllers.push(this);
 };
 
 /**
-* On a key press this method will handle moving the focus
+* Stop this controller handling key presses, handing them back to the
+* controller which was active before it
 * @function
-* @param {int} event Browser key code
 */
-FocusController.prototype.onKeyDown = function (event) {
+FocusController.prototype.deactivate = function () {
     'use strict';
 
-    switch(event.keyCode) {
-        case 9:
-            // Tab
-            break;
-        case 37:
-            // Left
-            event.preventDefault();
-            this.moveFocus({x: -1, y: 0});
-            break;
-        case 38:
-            // Up
-            event.preventDefault();
-            this.moveFocus({x: 0, y: 1});
-            break;
-        case 39:
-            // Right
-            event.preventDefault();
-            this.moveFocus({x: 1, y: 0});
-            break;
-        case 40:
-            // Down
-            event.preventDefault();
-            this.moveFocus({x: 0, y: -1});
-            break;
-        case 13:
-            // Enter
-            event.preventDefault();
-            if(this.getCurrentlyFocusedItem()) {
-                this.getCurrentlyFocusedItem().onItemClickStateChange(true);
-            }
-            break;
+    var controllers = FocusController.activeControllers;
+    var index = controllers.indexOf(this);
+    if(index === -1) {
+        return;
     }
+
+    controllers.splice(index, 1);
+    this.stopDirection();
 };
 
 /**
-* On a key press this method will handle moving the focus
+* Is this the controller which handles key presses
 * @function
-* @param {int} event Browser key code
 */
-FocusController.prototype.onKeyUp = function (event) {
+FocusController.prototype.isActive = function () {
     'use strict';
 
-    switch(event.keyCode) {
-        case 13:
-            // Enter
-            event.preventDefault();
-            if(this.getCurrentlyFocusedItem()) {
-                this.getCurrentlyFocusedItem().onItemClickStateChange(false);
-            }
-            break;
-    }
-};
\ No newline at end of file
+    return FocusController.getActiveController() === this;
+};
@@ -0,0 +1,179 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * A section groups the focusable items inside a DOM container (for example
+ * a sidebar, header, content area or a single rail of tiles). Movement is
+ * resolved inside the section first and the enter rule decides which item
+ * gains focus when the user moves into the section from outside of it.
+ * With focus memory enabled, re-entering the section always restores the
+ * item which was focused when the user left it. A virtual section only
+ * renders part of it's items, so reaching it's edge asks the app for more.
+ *
+ * @constructor
+ * @param {DOMElement} domElement The container element of the section
+ * @param {Object} options Optional settings, enterRule, wrapMode,
+ * rememberFocus and virtual
+ */
+function FocusSection(domElement, options) {
+    'use strict';
+
+    var element = domElement;
+    var enterRule = FocusSection.ENTER_NEAREST;
+    var wrapMode = null;
+    var rememberFocus = false;
+    var lastFocusedItem = null;
+    var virtual = false;
+
+    options = options || {};
+
+    if(options.enterRule) {
+        enterRule = options.enterRule;
+    } else if(element && element.getAttribute('data-dpad-enter')) {
+        enterRule = element.getAttribute('data-dpad-enter');
+    }
+
+    if(typeof options.rememberFocus === 'boolean') {
+        rememberFocus = options.rememberFocus;
+    } else if(element && element.hasAttribute('data-dpad-remember')) {
+        rememberFocus = element.getAttribute('data-dpad-remember') !== 'false';
+    }
+
+    if(typeof options.virtual === 'boolean') {
+        virtual = options.virtual;
+    } else if(element && element.hasAttribute('data-dpad-virtual')) {
+        virtual = element.getAttribute('data-dpad-virtual') !== 'false';
+    }
+
+    if(options.wrapMode) {
+        wrapMode = options.wrapMode;
+    } else if(element && element.getAttribute('data-dpad-wrap')) {
+        wrapMode = element.getAttribute('data-dpad-wrap');
+    }
+
+    /**
+    * Get the container element of this section
+    */
+    this.getElement = function () {
+        return element;
+    };
+
+    /**
+    * Get the rule used when focus enters this section
+    */
+    this.getEnterRule = function () {
+        return enterRule;
+    };
+
+    /**
+    * Set the rule used when focus enters this section
+    * @param {String} rule One of the FocusSection.ENTER_* values
+    */
+    this.setEnterRule = function (rule) {
+        enterRule = rule;
+    };
+
+    /**
+    * Get the wrap mode of this section, or null if it uses the
+    * FocusController's wrap mode
+    */
+    this.getWrapMode = function () {
+        return wrapMode;
+    };
+
+    /**
+    * Set the wrap mode of this section
+    * @param {String} mode One of the FocusController.WRAP_* values or
+    * null to use the FocusController's wrap mode
+    */
+    this.setWrapMode = function (mode) {
+        wrapMode = mode;
+    };
+
+    /**
+    * Does the section restore the last focused item when it's entered
+    */
+    this.isFocusMemoryEnabled = function () {
+        return rememberFocus || enterRule === FocusSection.ENTER_LAST_FOCUSED;
+    };
+
+    /**
+    * Enable or disable restoring the last focused item when the section
+    * is entered
+    * @param {Boolean} isEnabled
+    */
+    this.setFocusMemoryEnabled = function (isEnabled) {
+        rememberFocus = isEnabled;
+    };
+
+    /**
+    * Does the section only render some of it's items at a time
+    */
+    this.isVirtual = function () {
+        return virtual;
+    };
+
+    /**
+    * Set whether the section only renders some of it's items at a time
+    * @param {Boolean} isVirtual
+    */
+    this.setVirtual = function (isVirtual) {
+        virtual = isVirtual;
+    };
+
+    /**
+    * Get the last item in this section to gain focus
+    */
+    this.getLastFocusedItem = function () {
+        return lastFocusedItem;
+    };
+
+    /**
+    * Set the last item in this section to gain focus
+    * @param {FocusableItem} item
+    */
+    this.setLastFocusedItem = function (item) {
+        lastFocusedItem = item;
+    };
+}
+
+/**
+* Enter the section at its first item
+* @const
+*/
+FocusSection.ENTER_FIRST = 'first';
+
+/**
+* Enter the section at the item which was focused when the user left it
+* @const
+*/
+FocusSection.ENTER_LAST_FOCUSED = 'last-focused';
+
+/**
+* Enter the section at the geometrically nearest item
+* @const
+*/
+FocusSection.ENTER_NEAREST = 'nearest';
+
+/**
+* Check whether a DOM element sits inside this section
+* @function
+* @param {DOMElement} element
+*/
+FocusSection.prototype.containsElement = function (element) {
+    'use strict';
+
+    var sectionElement = this.getElement();
+    return sectionElement !== element && sectionElement.contains(element);
+};
@@ -25,8 +25,20 @@ function FocusableItem(domElement) {
 
     var element = domElement;
     var focusState = false;
+    var id = FocusableItem.nextId++;
 
     var focusableItems;
+    var focusableItemDistances;
+    var neighbourOverrides = {};
+    var section = null;
+
+    /**
+    * Get the unique id of this item, which stays the same when other
+    * items are added to or removed from the FocusController
+    */
+    this.getId = function () {
+        return id;
+    };
 
     /**
     * Get the focusable DOM element
@@ -44,6 +56,22 @@ function FocusableItem(domElement) {
         this.onFocusStateChange(focus);
     };
 
+    /**
+    * Get the FocusSection this item belongs to, or null if it isn't
+    * inside a section
+    */
+    this.getSection = function () {
+        return section;
+    };
+
+    /**
+    * Set the FocusSection this item belongs to
+    * @param {FocusSection} focusSection
+    */
+    this.setSection = function (focusSection) {
+        section = focusSection;
+    };
+
     this.resetFocusableItems = function() {
         focusableItems = {
             top: null,
@@ -51,43 +79,119 @@ function FocusableItem(domElement) {
             left: null,
             right: null
         };
+        focusableItemDistances = {
+            top: null,
+            bottom: null,
+            left: null,
+            right: null
+        };
+    };
+
+    /**
+    * Set the neighbouring item in a direction
+    * @param {String} direction One of top, bottom, left or right
+    * @param {FocusableItem} item The neighbour or null for no neighbour
+    * @param {int} distance Optional score the neighbour was picked with
+    */
+    this.setNeighbourItem = function(direction, item, distance) {
+        focusableItems[direction] = item;
+        focusableItemDistances[direction] = (typeof distance === 'number') ?
+            distance : null;
+    };
+
+    /**
+    * Get the neighbouring item in a direction
+    * @param {String} direction One of top, bottom, left or right
+    */
+    this.getNeighbourItem = function(direction) {
+        return focusableItems[direction];
+    };
+
+    /**
+    * Get the score the neighbour in a direction was picked with, or
+    * null if it isn't known
+    * @param {String} direction One of top, bottom, left or right
+    */
+    this.getNeighbourDistance = function(direction) {
+        return focusableItemDistances[direction];
+    };
+
+    /**
+    * Override the neighbour picked for a direction. The target can be
+    * a FocusableItem, a DOM element, an element id or a selector. Use
+    * FocusableItem.NO_NEIGHBOUR to block movement in the direction and
+    * null to go back to the computed neighbour. The FocusController
+    * picks the override up on the next graph update.
+    * @param {String} direction One of top, bottom, left or right
+    * @param {FocusableItem|DOMElement|String} target
+    */
+    this.setNeighbourOverride = function(direction, target) {
+        if(target === null) {
+            delete neighbourOverrides[direction];
+        } else {
+            neighbourOverrides[direction] = target;
+        }
+    };
+
+    /**
+    * Get the neighbour override set for a direction from javascript,
+    * or null if there isn't one
+    * @param {String} direction One of top, bottom, left or right
+    */
+    this.getNeighbourOverride = function(direction) {
+        if(!neighbourOverrides.hasOwnProperty(direction)) {
+            return null;
+        }
+        return neighbourOverrides[direction];
     };
 
-    this.setTopFocusItemIndex = function(index) {
-        focusableItems.top = index;
+    this.setTopFocusItem = function(item) {
+        this.setNeighbourItem('top', item);
     };
 
-    this.getTopFocusItemIndex = function() {
+    this.getTopFocusItem = function() {
         return focusableItems.top;
     };
 
-    this.setBottomFocusItemIndex = function(index) {
-        focusableItems.bottom = index;
+    this.setBottomFocusItem = function(item) {
+        this.setNeighbourItem('bottom', item);
     };
 
-    this.getBottomFocusItemIndex = function() {
+    this.getBottomFocusItem = function() {
         return focusableItems.bottom;
     };
 
-    this.setLeftFocusItemIndex = function(index) {
-        focusableItems.left = index;
+    this.setLeftFocusItem = function(item) {
+        this.setNeighbourItem('left', item);
     };
 
-    this.getLeftFocusItemIndex = function() {
+    this.getLeftFocusItem = function() {
         return focusableItems.left;
     };
 
-    this.setRightFocusItemIndex = function(index) {
-        focusableItems.right = index;
+    this.setRightFocusItem = function(item) {
+        this.setNeighbourItem('right', item);
     };
 
-    this.getRightFocusItemIndex = function() {
+    this.getRightFocusItem = function() {
         return focusableItems.right;
     };
 
     this.resetFocusableItems();
 }
 
+/**
+* Counter used to give every FocusableItem a unique id
+* @private
+*/
+FocusableItem.nextId = 0;
+
+/**
+* Neighbour override value which blocks movement in a direction
+* @const
+*/
+FocusableItem.NO_NEIGHBOUR = 'none';
+
 /**
 * Callback for when the item is clicked
 * @function
@@ -95,4 +199,13 @@ function FocusableItem(domElement) {
 FocusableItem.prototype.onItemClickStateChange = function (isDown) {
     /* jshint unused: false */
     // NOOP
+};
+
+/**
+* Callback for when a press is cancelled, for example by becoming a long
+* press, so releasing it shouldn't click the item
+* @function
+*/
+FocusableItem.prototype.onItemClickCancel = function () {
+    // NOOP
 };
\ No newline at end of file
@@ -0,0 +1,289 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Drives a FocusController from game controllers. Gamepads are polled
+ * every frame: the d-pad and the left analog stick move focus and repeat
+ * while they're held, A selects like Enter and B triggers the back action.
+ *
+ * @constructor
+ * @param {FocusController} focusController The controller to drive
+ * @param {Object} options Optional settings, deadzone (0 to 1) and
+ * getGamepads, a function returning the gamepads to read instead of
+ * navigator.getGamepads
+ */
+function GamepadInput(focusController, options) {
+    'use strict';
+
+    var controller = focusController;
+    var deadzone = GamepadInput.DEFAULT_DEADZONE;
+    var getGamepads = null;
+    var pollHandle = null;
+    var gamepadStates = {};
+
+    options = options || {};
+
+    if(typeof options.deadzone === 'number') {
+        deadzone = options.deadzone;
+    }
+
+    if(options.getGamepads) {
+        getGamepads = options.getGamepads;
+    } else if(navigator.getGamepads) {
+        getGamepads = navigator.getGamepads.bind(navigator);
+    } else if(navigator.webkitGetGamepads) {
+        getGamepads = navigator.webkitGetGamepads.bind(navigator);
+    }
+
+    /**
+    * Get the FocusController this input drives
+    */
+    this.getFocusController = function () {
+        return controller;
+    };
+
+    /**
+    * Get how far the stick has to be pushed, from 0 to 1, before it
+    * moves focus
+    */
+    this.getDeadzone = function () {
+        return deadzone;
+    };
+
+    /**
+    * Set how far the stick has to be pushed, from 0 to 1, before it
+    * moves focus
+    * @param {Number} size
+    */
+    this.setDeadzone = function (size) {
+        deadzone = size;
+    };
+
+    /**
+    * Get the connected gamepads
+    */
+    this.getGamepads = function () {
+        if(getGamepads === null) {
+            return [];
+        }
+        return getGamepads() || [];
+    };
+
+    /**
+    * Get the buttons and stick state seen on the last poll of a gamepad
+    * @param {int} index The index of the gamepad
+    */
+    this.getGamepadState = function (index) {
+        if(!gamepadStates[index]) {
+            gamepadStates[index] = {
+                buttons: {},
+                stickSector: null,
+                stickVector: null
+            };
+        }
+        return gamepadStates[index];
+    };
+
+    /**
+    * Forget the state of every gamepad
+    */
+    this.resetGamepadStates = function () {
+        gamepadStates = {};
+    };
+
+    /**
+    * Start polling the gamepads every frame
+    */
+    this.start = function () {
+        if(pollHandle !== null) {
+            return;
+        }
+
+        var poll = function() {
+            this.poll();
+            pollHandle = window.requestAnimationFrame ?
+                window.requestAnimationFrame(poll) : setTimeout(poll, 16);
+        }.bind(this);
+        pollHandle = window.requestAnimationFrame ?
+            window.requestAnimationFrame(poll) : setTimeout(poll, 16);
+    };
+
+    /**
+    * Stop polling the gamepads
+    */
+    this.stop = function () {
+        if(pollHandle === null) {
+            return;
+        }
+
+        if(window.cancelAnimationFrame) {
+            window.cancelAnimationFrame(pollHandle);
+        } else {
+            clearTimeout(pollHandle);
+        }
+        pollHandle = null;
+        this.resetGamepadStates();
+    };
+
+    /**
+    * Is the input polling the gamepads
+    */
+    this.isPolling = function () {
+        return pollHandle !== null;
+    };
+}
+
+/**
+* How far the stick has to be pushed, from 0 to 1, before it moves focus
+* @const
+*/
+GamepadInput.DEFAULT_DEADZONE = 0.5;
+
+/**
+* Stick angles within this many degrees of straight up, down, left or
+* right move focus in that direction, wider angles move diagonally
+* @const
+*/
+GamepadInput.AXIS_SNAP_ANGLE = 22.5;
+
+/**
+* The actions of the buttons of a gamepad with the standard mapping
+* @const
+*/
+GamepadInput.BUTTON_ACTIONS = {
+    0: KeyMap.SELECT,
+    1: KeyMap.BACK,
+    9: KeyMap.MENU,
+    12: KeyMap.UP,
+    13: KeyMap.DOWN,
+    14: KeyMap.LEFT,
+    15: KeyMap.RIGHT
+};
+
+/**
+* Read every gamepad once and act on what has changed since the last poll
+* @function
+*/
+GamepadInput.prototype.poll = function () {
+    'use strict';
+
+    if(this.getFocusController().isDestroyed()) {
+        this.stop();
+        return;
+    }
+
+    var gamepads = this.getGamepads();
+    for(var i = 0; i < gamepads.length; i++) {
+        if(gamepads[i] && gamepads[i].connected !== false) {
+            this.pollGamepad(gamepads[i]);
+        }
+    }
+};
+
+/**
+* Act on the buttons pressed or released and the stick moved on one
+* gamepad since the last poll
+* @function
+* @param {Gamepad} gamepad
+*/
+GamepadInput.prototype.pollGamepad = function (gamepad) {
+    'use strict';
+
+    var controller = this.getFocusController();
+    var state = this.getGamepadState(gamepad.index);
+
+    for(var button in GamepadInput.BUTTON_ACTIONS) {
+        if(!GamepadInput.BUTTON_ACTIONS.hasOwnProperty(button)) {
+            continue;
+        }
+
+        var isPressed = this.isButtonPressed(gamepad.buttons[button]);
+        var wasPressed = state.buttons[button] === true;
+        state.buttons[button] = isPressed;
+
+        if(isPressed && !wasPressed) {
+            controller.startAction(GamepadInput.BUTTON_ACTIONS[button], null);
+        } else if(!isPressed && wasPressed) {
+            controller.endAction(GamepadInput.BUTTON_ACTIONS[button], null);
+        }
+    }
+
+    // The stick holds a direction from when it leaves the deadzone or
+    // is turned into another of the eight directions, until it's back
+    // in the deadzone
+    var vector = this.getStickVector(gamepad.axes);
+    var sector = null;
+    if(vector !== null) {
+        sector = (Math.round(Math.atan2(vector.y, vector.x) / (Math.PI / 4)) + 8) % 8;
+        if(sector !== state.stickSector) {
+            controller.startDirection(vector);
+            state.stickVector = vector;
+        }
+    } else if(state.stickVector !== null) {
+        controller.stopDirection(state.stickVector);
+        state.stickVector = null;
+    }
+    state.stickSector = sector;
+};
+
+/**
+* Check whether a gamepad button is held down
+* @function
+* @param {GamepadButton|Number} button Older browsers give a number
+*/
+GamepadInput.prototype.isButtonPressed = function (button) {
+    'use strict';
+
+    if(typeof button === 'undefined' || button === null) {
+        return false;
+    }
+
+    if(typeof button === 'number') {
+        return button > 0.5;
+    }
+
+    return button.pressed;
+};
+
+/**
+* Get the direction the left stick is pushed in, or null if it's inside
+* the deadzone
+* @function
+* @param {Array} axes The axes of the gamepad
+* @return {Object} A direction vector {x, y}, y is up
+*/
+GamepadInput.prototype.getStickVector = function (axes) {
+    'use strict';
+
+    if(!axes || axes.length < 2) {
+        return null;
+    }
+
+    // Gamepad axes point down, so y is flipped
+    var x = axes[0];
+    var y = -axes[1];
+    if(Math.sqrt((x * x) + (y * y)) < this.getDeadzone()) {
+        return null;
+    }
+
+    // Snap to the nearest axis so small wobbles follow the focus graph
+    var snapTangent = Math.tan(GamepadInput.AXIS_SNAP_ANGLE * (Math.PI / 180));
+    if(Math.abs(y) <= Math.abs(x) * snapTangent) {
+        return {x: x > 0 ? 1 : -1, y: 0};
+    } else if(Math.abs(x) <= Math.abs(y) * snapTangent) {
+        return {x: 0, y: y > 0 ? 1 : -1};
+    }
+
+    return {x: x, y: y};
+};
@@ -82,4 +82,14 @@ GenericFocusableItem.prototype.onItemClickStateChange = function(isDown) {
         evObj.initEvent('click', true, true);
         element.dispatchEvent(evObj);
     }
-};
\ No newline at end of file
+};
+
+/**
+* Callback when a press is cancelled, the item is released without
+* being clicked
+*/
+GenericFocusableItem.prototype.onItemClickCancel = function() {
+    'use strict';
+
+    this.getElement().classList.remove(this.getClassStates().clickDown);
+};
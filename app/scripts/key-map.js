@@ -0,0 +1,440 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Maps key events to actions such as up, select or back. Keys are looked
+ * up by event.key, then event.code and finally the legacy event.keyCode,
+ * so the same map works on browsers and TV platforms which only fill in
+ * some of them. Actions without a built in meaning, like menu or play,
+ * can be bound to callbacks.
+ *
+ * @constructor
+ * @param {String|Object} preset The name of one of KeyMap.PRESETS or a
+ * preset object with keys, keyCodes and an optional register function.
+ * Presets add to the keyboard preset.
+ */
+function KeyMap(preset) {
+    'use strict';
+
+    var keys = {};
+    var keyCodes = {};
+    var actionCallbacks = {};
+    var presets = [KeyMap.PRESETS.keyboard];
+
+    if(typeof preset === 'string') {
+        if(!KeyMap.PRESETS.hasOwnProperty(preset)) {
+            throw new Error('Unknown key map preset');
+        }
+        preset = KeyMap.PRESETS[preset];
+    }
+
+    if(preset && presets.indexOf(preset) === -1) {
+        presets.push(preset);
+    }
+
+    /**
+    * Get the presets this key map was built from
+    */
+    this.getPresets = function () {
+        return presets;
+    };
+
+    /**
+    * Map a key to an action
+    * @param {String} key A value of event.key or event.code
+    * @param {String} action One of the KeyMap.* actions or any other name
+    */
+    this.bindKey = function (key, action) {
+        keys[key] = action;
+    };
+
+    /**
+    * Remove the action of a key
+    * @param {String} key A value of event.key or event.code
+    */
+    this.unbindKey = function (key) {
+        delete keys[key];
+    };
+
+    /**
+    * Get the action of a key, or null if it isn't mapped
+    * @param {String} key A value of event.key or event.code
+    */
+    this.getKeyAction = function (key) {
+        return keys.hasOwnProperty(key) ? keys[key] : null;
+    };
+
+    /**
+    * Map a legacy keyCode to an action
+    * @param {int} keyCode A value of event.keyCode
+    * @param {String} action One of the KeyMap.* actions or any other name
+    */
+    this.bindKeyCode = function (keyCode, action) {
+        keyCodes[keyCode] = action;
+    };
+
+    /**
+    * Remove the action of a legacy keyCode
+    * @param {int} keyCode A value of event.keyCode
+    */
+    this.unbindKeyCode = function (keyCode) {
+        delete keyCodes[keyCode];
+    };
+
+    /**
+    * Get the action of a legacy keyCode, or null if it isn't mapped
+    * @param {int} keyCode A value of event.keyCode
+    */
+    this.getKeyCodeAction = function (keyCode) {
+        return keyCodes.hasOwnProperty(keyCode) ? keyCodes[keyCode] : null;
+    };
+
+    /**
+    * Call a function whenever a key mapped to an action is pressed
+    * @param {String} action
+    * @param {function} callback Called with the key event
+    */
+    this.bindAction = function (action, callback) {
+        actionCallbacks[action] = actionCallbacks[action] || [];
+        actionCallbacks[action].push(callback);
+    };
+
+    /**
+    * Stop calling a function for an action, or every function if no
+    * callback is given
+    * @param {String} action
+    * @param {function} callback
+    */
+    this.unbindAction = function (action, callback) {
+        if(!actionCallbacks[action]) {
+            return;
+        }
+
+        if(typeof callback === 'undefined') {
+            delete actionCallbacks[action];
+            return;
+        }
+
+        var index = actionCallbacks[action].indexOf(callback);
+        if(index !== -1) {
+            actionCallbacks[action].splice(index, 1);
+        }
+    };
+
+    /**
+    * Get the functions bound to an action
+    * @param {String} action
+    */
+    this.getActionCallbacks = function (action) {
+        return actionCallbacks[action] || [];
+    };
+
+    for(var i = 0; i < presets.length; i++) {
+        this.addPreset(presets[i]);
+    }
+}
+
+/**
+* Move focus left
+* @const
+*/
+KeyMap.LEFT = 'left';
+
+/**
+* Move focus up
+* @const
+*/
+KeyMap.UP = 'up';
+
+/**
+* Move focus right
+* @const
+*/
+KeyMap.RIGHT = 'right';
+
+/**
+* Move focus down
+* @const
+*/
+KeyMap.DOWN = 'down';
+
+/**
+* Click the focused item
+* @const
+*/
+KeyMap.SELECT = 'select';
+
+/**
+* Go back, for example the Back or Return button of a remote
+* @const
+*/
+KeyMap.BACK = 'back';
+
+/**
+* Open a menu
+* @const
+*/
+KeyMap.MENU = 'menu';
+
+/**
+* Media and colour button actions
+* @const
+*/
+KeyMap.PLAY = 'play';
+KeyMap.PAUSE = 'pause';
+KeyMap.PLAY_PAUSE = 'play-pause';
+KeyMap.STOP = 'stop';
+KeyMap.REWIND = 'rewind';
+KeyMap.FAST_FORWARD = 'fast-forward';
+KeyMap.RED = 'red';
+KeyMap.GREEN = 'green';
+KeyMap.YELLOW = 'yellow';
+KeyMap.BLUE = 'blue';
+
+/**
+* The built in key maps. Platform presets only list the keys they add to
+* the keyboard preset. A preset's register function is called with the
+* global object by registerPlatformKeys, for platforms which only send
+* some keys to the page once they have been registered.
+* @const
+*/
+KeyMap.PRESETS = {
+    keyboard: {
+        keys: {
+            ArrowLeft: KeyMap.LEFT,
+            ArrowUp: KeyMap.UP,
+            ArrowRight: KeyMap.RIGHT,
+            ArrowDown: KeyMap.DOWN,
+            // Older browsers
+            Left: KeyMap.LEFT,
+            Up: KeyMap.UP,
+            Right: KeyMap.RIGHT,
+            Down: KeyMap.DOWN,
+            Enter: KeyMap.SELECT,
+            Escape: KeyMap.BACK,
+            BrowserBack: KeyMap.BACK,
+            GoBack: KeyMap.BACK,
+            ContextMenu: KeyMap.MENU,
+            MediaPlay: KeyMap.PLAY,
+            MediaPause: KeyMap.PAUSE,
+            MediaPlayPause: KeyMap.PLAY_PAUSE,
+            MediaStop: KeyMap.STOP,
+            MediaRewind: KeyMap.REWIND,
+            MediaFastForward: KeyMap.FAST_FORWARD,
+            ColorF0Red: KeyMap.RED,
+            ColorF1Green: KeyMap.GREEN,
+            ColorF2Yellow: KeyMap.YELLOW,
+            ColorF3Blue: KeyMap.BLUE
+        },
+        keyCodes: {
+            37: KeyMap.LEFT,
+            38: KeyMap.UP,
+            39: KeyMap.RIGHT,
+            40: KeyMap.DOWN,
+            13: KeyMap.SELECT,
+            27: KeyMap.BACK,
+            166: KeyMap.BACK,
+            179: KeyMap.PLAY_PAUSE
+        }
+    },
+    // Samsung Tizen TVs
+    tizen: {
+        keys: {
+            XF86Back: KeyMap.BACK
+        },
+        keyCodes: {
+            10009: KeyMap.BACK,
+            403: KeyMap.RED,
+            404: KeyMap.GREEN,
+            405: KeyMap.YELLOW,
+            406: KeyMap.BLUE,
+            415: KeyMap.PLAY,
+            19: KeyMap.PAUSE,
+            10252: KeyMap.PLAY_PAUSE,
+            413: KeyMap.STOP,
+            412: KeyMap.REWIND,
+            417: KeyMap.FAST_FORWARD
+        },
+        register: function(host) {
+            'use strict';
+
+            if(!host.tizen || !host.tizen.tvinputdevice) {
+                return false;
+            }
+
+            var keyNames = ['ColorF0Red', 'ColorF1Green', 'ColorF2Yellow',
+                'ColorF3Blue', 'MediaPlay', 'MediaPause', 'MediaPlayPause',
+                'MediaStop', 'MediaRewind', 'MediaFastForward'];
+            for(var i = 0; i < keyNames.length; i++) {
+                try {
+                    host.tizen.tvinputdevice.registerKey(keyNames[i]);
+                } catch(e) {
+                    // The key isn't supported by this device
+                }
+            }
+            return true;
+        }
+    },
+    // LG webOS TVs
+    webos: {
+        keys: {},
+        keyCodes: {
+            461: KeyMap.BACK,
+            403: KeyMap.RED,
+            404: KeyMap.GREEN,
+            405: KeyMap.YELLOW,
+            406: KeyMap.BLUE,
+            415: KeyMap.PLAY,
+            19: KeyMap.PAUSE,
+            413: KeyMap.STOP,
+            412: KeyMap.REWIND,
+            417: KeyMap.FAST_FORWARD
+        }
+    },
+    // HbbTV and CE-HTML set-top boxes, using the VK_* key codes
+    hbbtv: {
+        keys: {},
+        keyCodes: {
+            461: KeyMap.BACK,
+            403: KeyMap.RED,
+            404: KeyMap.GREEN,
+            405: KeyMap.YELLOW,
+            406: KeyMap.BLUE,
+            415: KeyMap.PLAY,
+            19: KeyMap.PAUSE,
+            402: KeyMap.PLAY_PAUSE,
+            413: KeyMap.STOP,
+            412: KeyMap.REWIND,
+            417: KeyMap.FAST_FORWARD
+        }
+    },
+    // Browsers on Xbox consoles, which send the controller as keys
+    xbox: {
+        keys: {
+            GamepadDPadLeft: KeyMap.LEFT,
+            GamepadDPadUp: KeyMap.UP,
+            GamepadDPadRight: KeyMap.RIGHT,
+            GamepadDPadDown: KeyMap.DOWN,
+            GamepadLeftThumbstickLeft: KeyMap.LEFT,
+            GamepadLeftThumbstickUp: KeyMap.UP,
+            GamepadLeftThumbstickRight: KeyMap.RIGHT,
+            GamepadLeftThumbstickDown: KeyMap.DOWN,
+            GamepadA: KeyMap.SELECT,
+            GamepadB: KeyMap.BACK,
+            GamepadMenu: KeyMap.MENU
+        },
+        keyCodes: {
+            205: KeyMap.LEFT,
+            203: KeyMap.UP,
+            206: KeyMap.RIGHT,
+            204: KeyMap.DOWN,
+            214: KeyMap.LEFT,
+            211: KeyMap.UP,
+            213: KeyMap.RIGHT,
+            212: KeyMap.DOWN,
+            195: KeyMap.SELECT,
+            196: KeyMap.BACK,
+            207: KeyMap.MENU
+        }
+    }
+};
+
+/**
+* Add the keys and key codes of a preset to this key map
+* @function
+* @param {Object} preset
+*/
+KeyMap.prototype.addPreset = function (preset) {
+    'use strict';
+
+    var name;
+    for(name in preset.keys) {
+        if(preset.keys.hasOwnProperty(name)) {
+            this.bindKey(name, preset.keys[name]);
+        }
+    }
+
+    for(name in preset.keyCodes) {
+        if(preset.keyCodes.hasOwnProperty(name)) {
+            this.bindKeyCode(name, preset.keyCodes[name]);
+        }
+    }
+};
+
+/**
+* Get the action of a key event, or null if the key isn't mapped
+* @function
+* @param {KeyboardEvent} event
+*/
+KeyMap.prototype.getAction = function (event) {
+    'use strict';
+
+    var action = null;
+    if(event.key) {
+        action = this.getKeyAction(event.key);
+    }
+
+    if(action === null && event.code) {
+        action = this.getKeyAction(event.code);
+    }
+
+    if(action === null && event.keyCode) {
+        action = this.getKeyCodeAction(event.keyCode);
+    }
+
+    return action;
+};
+
+/**
+* Call the functions bound to an action
+* @function
+* @param {String} action
+* @param {KeyboardEvent} event
+* @return {Boolean} True if any functions were bound to the action
+*/
+KeyMap.prototype.triggerAction = function (action, event) {
+    'use strict';
+
+    var callbacks = this.getActionCallbacks(action).slice();
+    for(var i = 0; i < callbacks.length; i++) {
+        callbacks[i](event);
+    }
+
+    return callbacks.length > 0;
+};
+
+/**
+* Ask the platform to send the keys used by the presets to the page.
+* Some TV platforms only deliver media and colour keys once they have
+* been registered.
+* @function
+* @param {Object} host The global object to register keys with, window
+* unless a mock is given
+* @return {Boolean} True if any preset registered keys
+*/
+KeyMap.prototype.registerPlatformKeys = function (host) {
+    'use strict';
+
+    host = host || window;
+
+    var registered = false;
+    var presets = this.getPresets();
+    for(var i = 0; i < presets.length; i++) {
+        if(typeof presets[i].register === 'function' && presets[i].register(host)) {
+            registered = true;
+        }
+    }
+
+    return registered;
+};
@@ -14,7 +14,8 @@
 function resetFocusController() {
 	window.dpadFocusController.removeAllFocusableItems();
 
-	var focusableItems = document.querySelectorAll('.dpad-focusable');
+	var focusableItems = window.dpadFocusController.getRoot()
+		.querySelectorAll('.dpad-focusable');
 
 	for(var i = 0; i < focusableItems.length; i++) {
 		window.dpadFocusController.addFocusableItem(
@@ -23,16 +24,19 @@ function resetFocusController() {
 	}
 
 	window.dpadFocusController.updateFocusGraph();
-
-	if(focusableItems.length > 0) {
-		window.dpadFocusController.setCurrentFocusItem(0);
-	}
+	window.dpadFocusController.focusInitialItem();
 }
 
 /* jshint undef: false */
 window.addEventListener('load', function() {
 	'use strict';
 
+	// Pages which create their own controllers can opt out of the
+	// shared one
+	if(document.documentElement.hasAttribute('data-dpad-manual')) {
+		return;
+	}
+
 	window.dpadFocusController = new FocusController();
 	window.dpadFocusController.reset = resetFocusController;
 	window.dpadFocusController.reset();
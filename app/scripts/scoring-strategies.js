@@ -0,0 +1,209 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * The built in strategies for scoring a candidate as the neighbour of an
+ * item in a direction.
+ *
+ * A strategy is an object with a getDistance(fromMetrics, toMetrics,
+ * direction, offAxisWeight) function, which returns a distance (lower is
+ * better) or null if the candidate isn't in that direction at all.
+ *
+ * Strategies can also describe lower bounds of their distance, which lets
+ * the SpatialIndex skip cells that can't hold a better candidate:
+ *  - boundedAlongAxis: the distance is never lower than the distance
+ *    between the two centers along the direction of movement
+ *  - getOffAxisFactor(offAxisWeight): the distance is never lower than
+ *    this factor times the distance from the item's center to the
+ *    candidate across the direction of movement
+ *  - pastEdge: only candidates completely past the item's edge in the
+ *    direction of movement are given a distance
+ *
+ * @namespace
+ */
+var ScoringStrategies = {};
+
+/**
+* Score with the off axis distance to the closest of the candidate's
+* near edge, center or far edge. This is the default strategy.
+* @const
+*/
+ScoringStrategies.NEAREST_EDGE = {
+    getDistance: function(fromMetrics, toMetrics, direction, offAxisWeight) {
+        'use strict';
+
+        var axes = ScoringStrategies.getAxes(fromMetrics, toMetrics, direction);
+        if(axes === null) {
+            return null;
+        }
+
+        var offAxis = Math.min(Math.abs(axes.fromCenter - axes.toStart),
+            Math.abs(axes.fromCenter - axes.toCenter),
+            Math.abs(axes.fromCenter - axes.toEnd));
+
+        return ScoringStrategies.calcDistance(axes.along, offAxis * offAxisWeight);
+    },
+    boundedAlongAxis: true,
+    getOffAxisFactor: function(offAxisWeight) {
+        'use strict';
+        return offAxisWeight;
+    },
+    pastEdge: true
+};
+
+/**
+* Score with the distance between the centers of the two items
+* @const
+*/
+ScoringStrategies.CENTER_TO_CENTER = {
+    getDistance: function(fromMetrics, toMetrics, direction, offAxisWeight) {
+        'use strict';
+
+        var axes = ScoringStrategies.getAxes(fromMetrics, toMetrics, direction);
+        if(axes === null) {
+            return null;
+        }
+
+        var offAxis = Math.abs(axes.fromCenter - axes.toCenter);
+        return ScoringStrategies.calcDistance(axes.along, offAxis * offAxisWeight);
+    },
+    boundedAlongAxis: true,
+    getOffAxisFactor: function(offAxisWeight) {
+        'use strict';
+        return offAxisWeight;
+    },
+    pastEdge: true
+};
+
+/**
+* Prefer candidates which overlap the item across the direction of
+* movement, like the next tile in a row, no matter how far away they
+* are. Candidates which don't overlap are only used when there are none
+* which do.
+* @const
+*/
+ScoringStrategies.PROJECTION_OVERLAP = {
+    getDistance: function(fromMetrics, toMetrics, direction, offAxisWeight) {
+        'use strict';
+
+        var axes = ScoringStrategies.getAxes(fromMetrics, toMetrics, direction);
+        if(axes === null) {
+            return null;
+        }
+
+        if(axes.toStart < axes.fromEnd && axes.toEnd > axes.fromStart) {
+            return Math.floor(axes.along);
+        }
+
+        var offAxis = Math.min(Math.abs(axes.fromStart - axes.toEnd),
+            Math.abs(axes.fromEnd - axes.toStart));
+        return ScoringStrategies.NO_OVERLAP_PENALTY +
+            ScoringStrategies.calcDistance(axes.along, offAxis * offAxisWeight);
+    },
+    // Overlapping candidates can be far off axis, so only the distance
+    // along the axis bounds the score
+    boundedAlongAxis: true,
+    pastEdge: true
+};
+
+/**
+* Added to the score of candidates which don't overlap the item, so they
+* always lose to candidates which do
+* @const
+*/
+ScoringStrategies.NO_OVERLAP_PENALTY = 1000000;
+
+/**
+* Get the strategy registered under a name
+* @function
+* @param {String} name One of nearest-edge, center-to-center or
+* projection-overlap
+*/
+ScoringStrategies.getByName = function(name) {
+    'use strict';
+
+    switch(name) {
+        case 'nearest-edge':
+            return ScoringStrategies.NEAREST_EDGE;
+        case 'center-to-center':
+            return ScoringStrategies.CENTER_TO_CENTER;
+        case 'projection-overlap':
+            return ScoringStrategies.PROJECTION_OVERLAP;
+    }
+
+    return null;
+};
+
+/**
+* Split the metrics of two items into the distance between their centers
+* along the direction of movement and their positions across it. Returns
+* null if the candidate isn't completely past the item's edge in the
+* direction.
+* @function
+* @param {Metrics} fromMetrics Metrics of the item focus moves from
+* @param {Metrics} toMetrics Metrics of the candidate
+* @param {String} direction One of top, bottom, left or right
+*/
+ScoringStrategies.getAxes = function(fromMetrics, toMetrics, direction) {
+    'use strict';
+
+    var along = null;
+    switch(direction) {
+        case 'top':
+            if(toMetrics.bottom <= fromMetrics.top) {
+                along = fromMetrics.center.y - toMetrics.center.y;
+            }
+            break;
+        case 'bottom':
+            if(fromMetrics.bottom <= toMetrics.top) {
+                along = toMetrics.center.y - fromMetrics.center.y;
+            }
+            break;
+        case 'left':
+            if(toMetrics.right <= fromMetrics.left) {
+                along = fromMetrics.center.x - toMetrics.center.x;
+            }
+            break;
+        case 'right':
+            if(fromMetrics.right <= toMetrics.left) {
+                along = toMetrics.center.x - fromMetrics.center.x;
+            }
+            break;
+    }
+
+    if(along === null) {
+        return null;
+    }
+
+    var isVertical = direction === 'top' || direction === 'bottom';
+    return {
+        along: along,
+        fromStart: isVertical ? fromMetrics.left : fromMetrics.top,
+        fromCenter: isVertical ? fromMetrics.center.x : fromMetrics.center.y,
+        fromEnd: isVertical ? fromMetrics.right : fromMetrics.bottom,
+        toStart: isVertical ? toMetrics.left : toMetrics.top,
+        toCenter: isVertical ? toMetrics.center.x : toMetrics.center.y,
+        toEnd: isVertical ? toMetrics.right : toMetrics.bottom
+    };
+};
+
+/**
+* Calculate the distance from (0,0) to (x,y)
+* @function
+*/
+ScoringStrategies.calcDistance = function(x, y) {
+    'use strict';
+
+    return Math.floor(Math.sqrt((x * x) + (y * y)));
+};
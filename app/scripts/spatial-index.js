@@ -0,0 +1,311 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * A grid of buckets holding focusable items by the center of their
+ * metrics. Directional lookups walk the grid outwards from an item and
+ * stop as soon as no remaining cell can hold a closer candidate, so only
+ * nearby items are scored.
+ *
+ * @constructor
+ * @param {int} size Width and height of each grid cell in pixels
+ */
+function SpatialIndex(size) {
+    'use strict';
+
+    var cellSize = size || SpatialIndex.DEFAULT_CELL_SIZE;
+    // Cells are stored by row then column and by column then row so
+    // both vertical and horizontal lookups can walk strips of cells
+    var rows = {};
+    var columns = {};
+    var entries = {};
+    var bounds = null;
+    var maxHalfWidth = 0;
+    var maxHalfHeight = 0;
+
+    /**
+    * Get the width and height of each grid cell
+    */
+    this.getCellSize = function () {
+        return cellSize;
+    };
+
+    /**
+    * Get the cells stored by row, then column
+    */
+    this.getRows = function () {
+        return rows;
+    };
+
+    /**
+    * Get the cells stored by column, then row
+    */
+    this.getColumns = function () {
+        return columns;
+    };
+
+    /**
+    * Get the first and last row and column holding an item and the
+    * lowest and highest center of any item, or null if the index is
+    * empty
+    */
+    this.getBounds = function () {
+        return bounds;
+    };
+
+    /**
+    * Get the largest half width of any item added to the index
+    */
+    this.getMaxHalfWidth = function () {
+        return maxHalfWidth;
+    };
+
+    /**
+    * Get the largest half height of any item added to the index
+    */
+    this.getMaxHalfHeight = function () {
+        return maxHalfHeight;
+    };
+
+    /**
+    * Add an item to the index, replacing it if it's already there
+    * @param {FocusableItem} item
+    * @param {Metrics} metrics The metrics of the item's element
+    */
+    this.insert = function (item, metrics) {
+        this.remove(item);
+
+        var row = this.getCell(metrics.center.y);
+        var column = this.getCell(metrics.center.x);
+        var entry = {
+            item: item,
+            metrics: metrics,
+            row: row,
+            column: column,
+            cell: null
+        };
+
+        rows[row] = rows[row] || {};
+        columns[column] = columns[column] || {};
+        if(!rows[row][column]) {
+            rows[row][column] = [];
+            columns[column][row] = rows[row][column];
+        }
+
+        entry.cell = rows[row][column];
+        entry.cell.push(entry);
+        entries[item.getId()] = entry;
+
+        if(bounds === null) {
+            bounds = {
+                minRow: row,
+                maxRow: row,
+                minColumn: column,
+                maxColumn: column,
+                minX: metrics.center.x,
+                maxX: metrics.center.x,
+                minY: metrics.center.y,
+                maxY: metrics.center.y
+            };
+        } else {
+            bounds.minRow = Math.min(bounds.minRow, row);
+            bounds.maxRow = Math.max(bounds.maxRow, row);
+            bounds.minColumn = Math.min(bounds.minColumn, column);
+            bounds.maxColumn = Math.max(bounds.maxColumn, column);
+            bounds.minX = Math.min(bounds.minX, metrics.center.x);
+            bounds.maxX = Math.max(bounds.maxX, metrics.center.x);
+            bounds.minY = Math.min(bounds.minY, metrics.center.y);
+            bounds.maxY = Math.max(bounds.maxY, metrics.center.y);
+        }
+
+        maxHalfWidth = Math.max(maxHalfWidth, metrics.width / 2);
+        maxHalfHeight = Math.max(maxHalfHeight, metrics.height / 2);
+    };
+
+    /**
+    * Remove an item from the index
+    * @param {FocusableItem} item
+    */
+    this.remove = function (item) {
+        var entry = entries[item.getId()];
+        if(!entry) {
+            return false;
+        }
+
+        entry.cell.splice(entry.cell.indexOf(entry), 1);
+        if(entry.cell.length === 0) {
+            delete rows[entry.row][entry.column];
+            delete columns[entry.column][entry.row];
+        }
+
+        delete entries[item.getId()];
+        return true;
+    };
+
+    /**
+    * Remove every item from the index
+    */
+    this.clear = function () {
+        rows = {};
+        columns = {};
+        entries = {};
+        bounds = null;
+        maxHalfWidth = 0;
+        maxHalfHeight = 0;
+    };
+}
+
+/**
+* Default width and height of a grid cell in pixels
+* @const
+*/
+SpatialIndex.DEFAULT_CELL_SIZE = 100;
+
+/**
+* Get the grid cell a coordinate falls in
+* @function
+* @param {Number} position
+*/
+SpatialIndex.prototype.getCell = function (position) {
+    'use strict';
+
+    return Math.floor(position / this.getCellSize());
+};
+
+/**
+* Find the candidate with the lowest distance in a direction. Cells are
+* visited in rings around the starting cell, so when the distance has
+* known lower bounds the search can stop as soon as a ring is further
+* away than the closest candidate. Rings are cut to the bounds of the
+* index, so a lookup with no candidate only visits the occupied cells
+* ahead of the item.
+* @function
+* @param {Metrics} fromMetrics Metrics of the item to move from
+* @param {String} direction One of top, bottom, left or right
+* @param {function} getDistance Called with each candidate item, it's
+* metrics and the direction, returns a distance or null if the item isn't
+* a candidate
+* @param {Object} pruning Lower bounds of the distance or null to score
+* every candidate. When given, the distance must never be lower than the
+* distance between the two centers along the direction, nor lower than
+* pruning.offAxisFactor times the distance from the item's center to the
+* candidate across the direction. With pruning.pastEdge, only candidates
+* completely past the item's edge in the direction have a distance.
+* @return {Object} The closest item and it's distance, or null
+*/
+SpatialIndex.prototype.findNearest = function (fromMetrics, direction, getDistance, pruning) {
+    'use strict';
+
+    var bounds = this.getBounds();
+    if(bounds === null) {
+        return null;
+    }
+
+    var isVertical = direction === 'top' || direction === 'bottom';
+    var step = (direction === 'top' || direction === 'left') ? -1 : 1;
+    var strips = isVertical ? this.getRows() : this.getColumns();
+    var originStrip = this.getCell(isVertical ? fromMetrics.center.y : fromMetrics.center.x);
+    var originCross = this.getCell(isVertical ? fromMetrics.center.x : fromMetrics.center.y);
+    var cellSize = this.getCellSize();
+    var crossSlack = (isVertical ? this.getMaxHalfWidth() : this.getMaxHalfHeight()) + cellSize;
+    var offAxisFactor = pruning ? pruning.offAxisFactor : 0;
+
+    // A candidate past the item's edge has it's center past the edge too,
+    // so the strips behind the edge are skipped and when every center in
+    // the index is behind it there's nothing to find
+    var firstBand = 0;
+    if(pruning && pruning.pastEdge) {
+        var edge = fromMetrics[direction];
+        var furthest = isVertical ? (step < 0 ? bounds.minY : bounds.maxY) :
+            (step < 0 ? bounds.minX : bounds.maxX);
+        if((furthest - edge) * step < 0) {
+            return null;
+        }
+        firstBand = Math.max(0, (this.getCell(edge) - originStrip) * step);
+    }
+
+    // Strips are walked away from the item in the direction of movement,
+    // the cross axis is walked both ways. Nothing is stored outside of
+    // the bounds, so neither walk goes past them.
+    var bandCount = ((step < 0 ? (isVertical ? bounds.minRow : bounds.minColumn) :
+        (isVertical ? bounds.maxRow : bounds.maxColumn)) - originStrip) * step;
+    var minCrossOffset = (isVertical ? bounds.minColumn : bounds.minRow) - originCross;
+    var maxCrossOffset = (isVertical ? bounds.maxColumn : bounds.maxRow) - originCross;
+    var ringCount = Math.max(bandCount, -minCrossOffset, maxCrossOffset);
+
+    var closestItem = null;
+    var closestDistance = 0;
+    for(var ring = 0; ring <= ringCount && bandCount >= 0; ring++) {
+        // The closest cells in a ring are either straight ahead or level
+        // with the item at the edge of the ring. Neither bound can go
+        // down as the rings grow, so the walk ends at the first ring
+        // which can't beat the closest candidate.
+        if(closestItem !== null && pruning) {
+            var ringDistance = offAxisFactor * ((ring * cellSize) - crossSlack);
+            if(ring <= bandCount) {
+                ringDistance = Math.min(ringDistance, (ring - 1) * cellSize);
+            }
+            if(Math.floor(ringDistance) > closestDistance) {
+                break;
+            }
+        }
+
+        var lastBand = Math.min(ring, bandCount);
+        for(var band = firstBand; band <= lastBand; band++) {
+            var cells = strips[originStrip + (band * step)];
+            if(!cells) {
+                continue;
+            }
+
+            // The outer band of a ring is a whole row of cells, the bands
+            // inside it only have the two cells at its sides
+            var firstOffset = band === ring ? Math.max(-ring, minCrossOffset) : -ring;
+            var lastOffset = band === ring ? Math.min(ring, maxCrossOffset) : ring;
+            var offsetStep = band === ring ? 1 : 2 * ring;
+            for(var crossOffset = firstOffset; crossOffset <= lastOffset; crossOffset += offsetStep) {
+                var cell = cells[originCross + crossOffset];
+                if(!cell) {
+                    continue;
+                }
+
+                // Skip the cell if nothing in it can beat the closest
+                // candidate
+                if(closestItem !== null && pruning &&
+                    Math.floor(Math.max((band - 1) * cellSize, offAxisFactor *
+                        ((Math.abs(crossOffset) * cellSize) - crossSlack))) > closestDistance) {
+                    continue;
+                }
+
+                for(var i = 0; i < cell.length; i++) {
+                    var distance = getDistance(cell[i].item, cell[i].metrics, direction);
+                    if(distance !== null && (closestItem === null || distance < closestDistance ||
+                        (distance === closestDistance &&
+                        cell[i].item.getId() < closestItem.getId()))) {
+                        closestItem = cell[i].item;
+                        closestDistance = distance;
+                    }
+                }
+            }
+        }
+    }
+
+    if(closestItem === null) {
+        return null;
+    }
+
+    return {
+        item: closestItem,
+        distance: closestDistance
+    };
+};
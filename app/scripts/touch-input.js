@@ -0,0 +1,318 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Drives a FocusController from touch gestures. Swipes move focus in the
+ * direction of the swipe and taps select the item under the finger.
+ * Only gestures which start inside a container with the data-dpad-touch
+ * attribute are claimed, everywhere else touches scroll the page as
+ * normal.
+ *
+ * @constructor
+ * @param {FocusController} focusController The controller to drive
+ * @param {Object} options Optional settings, minSwipeDistance in pixels,
+ * minSwipeVelocity in pixels per millisecond, maxTapDistance in pixels
+ * and maxTapDuration in milliseconds
+ */
+function TouchInput(focusController, options) {
+    'use strict';
+
+    var controller = focusController;
+    var thresholds = {
+        minSwipeDistance: TouchInput.DEFAULT_MIN_SWIPE_DISTANCE,
+        minSwipeVelocity: TouchInput.DEFAULT_MIN_SWIPE_VELOCITY,
+        maxTapDistance: TouchInput.DEFAULT_MAX_TAP_DISTANCE,
+        maxTapDuration: TouchInput.DEFAULT_MAX_TAP_DURATION
+    };
+    var touchStart = null;
+    var listeners = null;
+
+    /**
+    * Get the FocusController this input drives
+    */
+    this.getFocusController = function () {
+        return controller;
+    };
+
+    /**
+    * Get the distances, velocity and duration used to tell swipes and
+    * taps apart
+    */
+    this.getThresholds = function () {
+        return thresholds;
+    };
+
+    /**
+    * Set the distances, velocity and duration used to tell swipes and
+    * taps apart. Thresholds which aren't given keep their current value.
+    * @param {Object} options minSwipeDistance, minSwipeVelocity,
+    * maxTapDistance and maxTapDuration
+    */
+    this.setThresholds = function (options) {
+        for(var name in thresholds) {
+            if(thresholds.hasOwnProperty(name) && typeof options[name] === 'number') {
+                thresholds[name] = options[name];
+            }
+        }
+    };
+
+    /**
+    * Get where and when the gesture being tracked started, or null if
+    * there isn't one
+    */
+    this.getTouchStart = function () {
+        return touchStart;
+    };
+
+    /**
+    * Set the gesture being tracked
+    * @param {Object} start The target, x, y and time of the first touch
+    * or null to stop tracking
+    */
+    this.setTouchStart = function (start) {
+        touchStart = start;
+    };
+
+    /**
+    * Start listening for touches
+    */
+    this.start = function () {
+        if(listeners !== null) {
+            return;
+        }
+
+        listeners = {
+            touchstart: this.onTouchStart.bind(this),
+            touchmove: this.onTouchMove.bind(this),
+            touchend: this.onTouchEnd.bind(this),
+            touchcancel: this.onTouchCancel.bind(this)
+        };
+
+        // Touch moves can only stop the page scrolling if the listener
+        // isn't passive
+        for(var type in listeners) {
+            if(listeners.hasOwnProperty(type)) {
+                document.addEventListener(type, listeners[type], {passive: false});
+            }
+        }
+    };
+
+    /**
+    * Stop listening for touches
+    */
+    this.stop = function () {
+        if(listeners === null) {
+            return;
+        }
+
+        for(var type in listeners) {
+            if(listeners.hasOwnProperty(type)) {
+                document.removeEventListener(type, listeners[type], {passive: false});
+            }
+        }
+        listeners = null;
+        touchStart = null;
+    };
+
+    /**
+    * Is the input listening for touches
+    */
+    this.isListening = function () {
+        return listeners !== null;
+    };
+
+    if(options) {
+        this.setThresholds(options);
+    }
+}
+
+/**
+* The shortest swipe in pixels which moves focus
+* @const
+*/
+TouchInput.DEFAULT_MIN_SWIPE_DISTANCE = 30;
+
+/**
+* The slowest swipe in pixels per millisecond which moves focus
+* @const
+*/
+TouchInput.DEFAULT_MIN_SWIPE_VELOCITY = 0.3;
+
+/**
+* The furthest a finger can move in pixels and still tap
+* @const
+*/
+TouchInput.DEFAULT_MAX_TAP_DISTANCE = 10;
+
+/**
+* The longest a finger can be down in milliseconds and still tap
+* @const
+*/
+TouchInput.DEFAULT_MAX_TAP_DURATION = 300;
+
+/**
+* Swipes within this many degrees of straight up, down, left or right
+* move focus in that direction, wider angles move diagonally
+* @const
+*/
+TouchInput.AXIS_SNAP_ANGLE = 22.5;
+
+/**
+* Get the opted in container an element is inside, or null if it isn't
+* inside one
+* @function
+* @param {DOMElement} element
+*/
+TouchInput.prototype.getTouchContainer = function (element) {
+    'use strict';
+
+    while(element && element.nodeType === 1) {
+        if(element.hasAttribute('data-dpad-touch') &&
+            element.getAttribute('data-dpad-touch') !== 'false') {
+            return element;
+        }
+        element = element.parentNode;
+    }
+    return null;
+};
+
+/**
+* Start tracking a single finger touching an opted in container
+* @function
+* @param {TouchEvent} event
+*/
+TouchInput.prototype.onTouchStart = function (event) {
+    'use strict';
+
+    var controller = this.getFocusController();
+    if(controller.isDestroyed()) {
+        this.stop();
+        return;
+    }
+
+    // Touches are left to the page while another controller is active
+    if(!controller.isActive() || event.touches.length !== 1 || this.getTouchContainer(event.target) === null) {
+        this.setTouchStart(null);
+        return;
+    }
+
+    this.setTouchStart({
+        target: event.target,
+        x: event.touches[0].clientX,
+        y: event.touches[0].clientY,
+        time: Date.now()
+    });
+};
+
+/**
+* Keep the page from scrolling while a gesture is tracked
+* @function
+* @param {TouchEvent} event
+*/
+TouchInput.prototype.onTouchMove = function (event) {
+    'use strict';
+
+    if(this.getTouchStart() !== null && event.cancelable) {
+        event.preventDefault();
+    }
+};
+
+/**
+* Turn the tracked gesture into a move or a select when the finger lifts
+* @function
+* @param {TouchEvent} event
+*/
+TouchInput.prototype.onTouchEnd = function (event) {
+    'use strict';
+
+    var start = this.getTouchStart();
+    this.setTouchStart(null);
+    if(start === null || event.changedTouches.length === 0) {
+        return;
+    }
+
+    var thresholds = this.getThresholds();
+    var deltaX = event.changedTouches[0].clientX - start.x;
+    var deltaY = event.changedTouches[0].clientY - start.y;
+    var distance = Math.sqrt((deltaX * deltaX) + (deltaY * deltaY));
+    var duration = Math.max(1, Date.now() - start.time);
+
+    if(distance <= thresholds.maxTapDistance && duration <= thresholds.maxTapDuration) {
+        // The select flow clicks the item, so the browser's click is
+        // stopped. Taps on anything else keep their click and focus.
+        if(this.onTap(start.target) && event.cancelable) {
+            event.preventDefault();
+        }
+    } else if(distance >= thresholds.minSwipeDistance &&
+        distance / duration >= thresholds.minSwipeVelocity) {
+        // Screen coordinates grow downwards
+        this.getFocusController().moveFocus(this.getSwipeVector(deltaX, -deltaY));
+    }
+};
+
+/**
+* Stop tracking a gesture the browser has taken over
+* @function
+*/
+TouchInput.prototype.onTouchCancel = function () {
+    'use strict';
+
+    this.setTouchStart(null);
+};
+
+/**
+* Select the item which was tapped, pressing and releasing it like Enter
+* @function
+* @param {DOMElement} target The element which was tapped
+* @return {Boolean} True if an item was selected
+*/
+TouchInput.prototype.onTap = function (target) {
+    'use strict';
+
+    var controller = this.getFocusController();
+    var item = controller.getItemForTarget(target);
+    if(item === null || !controller.isInActiveLayer(item) ||
+        !controller.isFocusable(item.getElement())) {
+        return false;
+    }
+
+    if(item !== controller.getCurrentlyFocusedItem()) {
+        controller.setCurrentFocusItem(item, false);
+    }
+
+    controller.startAction(KeyMap.SELECT, null);
+    controller.endAction(KeyMap.SELECT, null);
+    return true;
+};
+
+/**
+* Get the direction vector of a swipe, snapped to the nearest axis when
+* it's close to one
+* @function
+* @param {Number} x Distance swiped to the right
+* @param {Number} y Distance swiped up
+* @return {Object} A direction vector {x, y}, y is up
+*/
+TouchInput.prototype.getSwipeVector = function (x, y) {
+    'use strict';
+
+    var snapTangent = Math.tan(TouchInput.AXIS_SNAP_ANGLE * (Math.PI / 180));
+    if(Math.abs(y) <= Math.abs(x) * snapTangent) {
+        return {x: x > 0 ? 1 : -1, y: 0};
+    } else if(Math.abs(x) <= Math.abs(y) * snapTangent) {
+        return {x: 0, y: y > 0 ? 1 : -1};
+    }
+
+    return {x: x, y: y};
+};
@@ -0,0 +1,84 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/* global describe, it, beforeEach, afterEach, assert */
+/* global KeyMap, FocusController, GenericFocusableItem */
+(function () {
+    'use strict';
+
+    var ITEM_COUNT = 4;
+
+    // A row of items, 200px apart
+    var createRow = function (container, controller) {
+        var items = [];
+        for(var i = 0; i < ITEM_COUNT; i++) {
+            var element = document.createElement('div');
+            element.setAttribute('tabindex', '0');
+            element.style.position = 'absolute';
+            element.style.left = (i * 200) + 'px';
+            element.style.top = '0px';
+            element.style.width = '100px';
+            element.style.height = '50px';
+            container.appendChild(element);
+
+            items.push(new GenericFocusableItem(element));
+            controller.addFocusableItem(items[i]);
+        }
+        controller.updateFocusGraph();
+        return items;
+    };
+
+    describe('FocusController', function () {
+        var container;
+        var controller;
+        var items;
+
+        beforeEach(function () {
+            container = document.createElement('div');
+            document.body.appendChild(container);
+
+            controller = new FocusController({root: container, active: true});
+            items = createRow(container, controller);
+            controller.setCurrentFocusItem(items[1]);
+        });
+
+        afterEach(function () {
+            controller.destroy();
+            document.body.removeChild(container);
+        });
+
+        it('starts from the initial item after every item is replaced', function () {
+            controller.removeAllFocusableItems();
+            assert.isNull(controller.getCurrentlyFocusedItem());
+
+            container.innerHTML = '';
+            var newItems = createRow(container, controller);
+            controller.startAction(KeyMap.RIGHT, null);
+            controller.endAction(KeyMap.RIGHT, null);
+            assert.equal(controller.getCurrentlyFocusedItem(), newItems[0]);
+        });
+
+        it('only follows the pointer while it is active', function () {
+            var other = new FocusController({root: document.body, active: true});
+            var event = document.createEvent('MouseEvents');
+            event.initMouseEvent('mousemove', true, true, window, 0, 10, 10, 10, 10,
+                false, false, false, false, 0, null);
+            items[2].getElement().dispatchEvent(event);
+            other.destroy();
+
+            assert.equal(controller.getCurrentlyFocusedItem(), items[1]);
+            assert.equal(controller.getInputMode(), FocusController.MODE_KEY);
+        });
+    });
+})();
@@ -0,0 +1,227 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/* global describe, it, beforeEach, afterEach, assert */
+/* global KeyMap, FocusController, GamepadInput, GenericFocusableItem */
+(function () {
+    'use strict';
+
+    var ITEM_COUNT = 6;
+
+    // A row of items, 200px apart
+    var createRow = function (container, controller) {
+        var items = [];
+        for(var i = 0; i < ITEM_COUNT; i++) {
+            var element = document.createElement('div');
+            element.setAttribute('tabindex', '0');
+            element.style.position = 'absolute';
+            element.style.left = (i * 200) + 'px';
+            element.style.top = '0px';
+            element.style.width = '100px';
+            element.style.height = '50px';
+            container.appendChild(element);
+
+            items.push(new GenericFocusableItem(element));
+            controller.addFocusableItem(items[i]);
+        }
+        controller.updateFocusGraph();
+        return items;
+    };
+
+    // A gamepad with the standard mapping and nothing pressed
+    var createGamepad = function () {
+        var buttons = [];
+        for(var i = 0; i < 16; i++) {
+            buttons.push({pressed: false, value: 0});
+        }
+        return {
+            index: 0,
+            connected: true,
+            mapping: 'standard',
+            buttons: buttons,
+            axes: [0, 0, 0, 0]
+        };
+    };
+
+    describe('Actions', function () {
+        var container;
+        var controller;
+        var items;
+
+        beforeEach(function () {
+            container = document.createElement('div');
+            document.body.appendChild(container);
+
+            controller = new FocusController({root: container, active: true});
+            items = createRow(container, controller);
+            controller.setCurrentFocusItem(items[0]);
+        });
+
+        afterEach(function () {
+            controller.destroy();
+            document.body.removeChild(container);
+        });
+
+        it('moves focus once when a direction is pressed and released', function () {
+            assert.isTrue(controller.startAction(KeyMap.RIGHT, null));
+            assert.equal(controller.getCurrentlyFocusedItem(), items[1]);
+            assert.deepEqual(controller.getHeldDirection(), {x: 1, y: 0});
+
+            assert.isTrue(controller.endAction(KeyMap.RIGHT, null));
+            assert.isNull(controller.getHeldDirection());
+            assert.equal(controller.getCurrentlyFocusedItem(), items[1]);
+        });
+
+        it('repeats a held direction until it is released', function (done) {
+            controller.setRepeatOptions({delay: 100, interval: 100});
+            controller.startAction(KeyMap.RIGHT, null);
+
+            setTimeout(function () {
+                var index = items.indexOf(controller.getCurrentlyFocusedItem());
+                assert.isAbove(index, 1);
+
+                controller.endAction(KeyMap.RIGHT, null);
+                setTimeout(function () {
+                    assert.equal(controller.getCurrentlyFocusedItem(), items[index]);
+                    done();
+                }, 250);
+            }, 350);
+        });
+
+        it('clicks the focused item when select is released', function () {
+            var clicks = 0;
+            items[0].getElement().addEventListener('click', function () {
+                clicks++;
+            }, false);
+
+            controller.startAction(KeyMap.SELECT, null);
+            assert.isTrue(items[0].getElement().classList.contains('clickdown'));
+            assert.equal(clicks, 0);
+
+            controller.endAction(KeyMap.SELECT, null);
+            assert.isFalse(items[0].getElement().classList.contains('clickdown'));
+            assert.equal(clicks, 1);
+        });
+    });
+
+    describe('GamepadInput', function () {
+        var container;
+        var controller;
+        var items;
+        var gamepad;
+        var gamepadInput;
+
+        beforeEach(function () {
+            container = document.createElement('div');
+            document.body.appendChild(container);
+
+            controller = new FocusController({root: container, active: true});
+            items = createRow(container, controller);
+            controller.setCurrentFocusItem(items[0]);
+
+            gamepad = createGamepad();
+            gamepadInput = new GamepadInput(controller, {
+                getGamepads: function () {
+                    return [gamepad];
+                }
+            });
+        });
+
+        afterEach(function () {
+            gamepadInput.stop();
+            controller.destroy();
+            document.body.removeChild(container);
+        });
+
+        it('moves focus when the d-pad is pressed', function () {
+            gamepad.buttons[15].pressed = true;
+            gamepadInput.poll();
+            assert.equal(controller.getCurrentlyFocusedItem(), items[1]);
+
+            // Still held on the next frame, the controller repeats it
+            gamepadInput.poll();
+            assert.equal(controller.getCurrentlyFocusedItem(), items[1]);
+
+            gamepad.buttons[15].pressed = false;
+            gamepadInput.poll();
+            assert.isNull(controller.getHeldDirection());
+        });
+
+        it('repeats a held d-pad button', function (done) {
+            controller.setRepeatOptions({delay: 100, interval: 100});
+            gamepad.buttons[15].pressed = true;
+            gamepadInput.poll();
+
+            setTimeout(function () {
+                gamepadInput.poll();
+                assert.isAbove(items.indexOf(controller.getCurrentlyFocusedItem()), 1);
+
+                gamepad.buttons[15].pressed = false;
+                gamepadInput.poll();
+                assert.isNull(controller.getHeldDirection());
+                done();
+            }, 350);
+        });
+
+        it('clicks with A and goes back with B', function () {
+            var clicks = 0;
+            items[0].getElement().addEventListener('click', function () {
+                clicks++;
+            }, false);
+
+            gamepad.buttons[0].pressed = true;
+            gamepadInput.poll();
+            gamepad.buttons[0].pressed = false;
+            gamepadInput.poll();
+            assert.equal(clicks, 1);
+
+            controller.setCurrentFocusItem(items[2]);
+            controller.pushFocusHistory(items[0]);
+            gamepad.buttons[1].pressed = true;
+            gamepadInput.poll();
+            assert.equal(controller.getCurrentlyFocusedItem(), items[0]);
+        });
+
+        it('moves focus with the stick outside the deadzone', function () {
+            gamepad.axes[0] = 0.2;
+            gamepadInput.poll();
+            assert.equal(controller.getCurrentlyFocusedItem(), items[0]);
+
+            gamepad.axes[0] = 0.9;
+            gamepadInput.poll();
+            assert.equal(controller.getCurrentlyFocusedItem(), items[1]);
+
+            gamepad.axes[0] = 0;
+            gamepadInput.poll();
+            assert.isNull(controller.getHeldDirection());
+        });
+
+        it('leaves an inactive controller alone', function () {
+            controller.deactivate();
+            gamepad.buttons[15].pressed = true;
+            gamepad.axes[1] = 0.9;
+            gamepadInput.poll();
+            assert.equal(controller.getCurrentlyFocusedItem(), items[0]);
+            assert.isNull(controller.getHeldDirection());
+        });
+
+        it('stops polling once the controller is destroyed', function () {
+            gamepadInput.start();
+            controller.destroy();
+            gamepad.buttons[15].pressed = true;
+            gamepadInput.poll();
+            assert.isFalse(gamepadInput.isPolling());
+        });
+    });
+})();
@@ -0,0 +1,157 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/* global describe, it, beforeEach, afterEach, assert */
+/* global KeyMap, FocusController, GenericFocusableItem */
+(function () {
+    'use strict';
+
+    var createItem = function (container, left, top) {
+        var element = document.createElement('div');
+        element.setAttribute('tabindex', '0');
+        element.style.position = 'absolute';
+        element.style.left = left + 'px';
+        element.style.top = top + 'px';
+        element.style.width = '100px';
+        element.style.height = '50px';
+        container.appendChild(element);
+        return new GenericFocusableItem(element);
+    };
+
+    // A key event which can be handed straight to the controller
+    var createKeyEvent = function (properties) {
+        var event = {
+            key: properties.key || '',
+            code: properties.code || '',
+            keyCode: properties.keyCode || 0,
+            defaultPrevented: false,
+            preventDefault: function () {
+                event.defaultPrevented = true;
+            }
+        };
+        return event;
+    };
+
+    // A stand in for the Tizen global, which records the keys registered
+    var createTizenHost = function () {
+        var registeredKeys = [];
+        return {
+            registeredKeys: registeredKeys,
+            tizen: {
+                tvinputdevice: {
+                    registerKey: function (keyName) {
+                        registeredKeys.push(keyName);
+                    }
+                }
+            }
+        };
+    };
+
+    describe('KeyMap', function () {
+        it('always includes the keyboard preset', function () {
+            var keyMap = new KeyMap('tizen');
+            assert.equal(keyMap.getAction(createKeyEvent({key: 'ArrowLeft'})), KeyMap.LEFT);
+            assert.equal(keyMap.getAction(createKeyEvent({keyCode: 10009})), KeyMap.BACK);
+        });
+
+        it('throws for an unknown preset', function () {
+            assert.throws(function () {
+                return new KeyMap('not-a-platform');
+            }, 'Unknown key map preset');
+        });
+
+        it('registers platform keys with the host it is given', function () {
+            var host = createTizenHost();
+            var keyMap = new KeyMap('tizen');
+
+            assert.isTrue(keyMap.registerPlatformKeys(host));
+            assert.include(host.registeredKeys, 'ColorF0Red');
+            assert.include(host.registeredKeys, 'MediaPlayPause');
+        });
+
+        it('skips registering when the host has no Tizen API', function () {
+            var keyMap = new KeyMap('tizen');
+            assert.isFalse(keyMap.registerPlatformKeys({}));
+        });
+    });
+
+    describe('FocusController with a KeyMap', function () {
+        var container;
+        var controller;
+        var items;
+
+        beforeEach(function () {
+            container = document.createElement('div');
+            document.body.appendChild(container);
+
+            controller = new FocusController({root: container, active: true});
+            items = [createItem(container, 0, 0), createItem(container, 200, 0)];
+            for(var i = 0; i < items.length; i++) {
+                controller.addFocusableItem(items[i]);
+            }
+            controller.updateFocusGraph();
+            controller.setCurrentFocusItem(items[0]);
+        });
+
+        afterEach(function () {
+            controller.destroy();
+            document.body.removeChild(container);
+        });
+
+        it('moves focus for the keys of a preset', function () {
+            var host = createTizenHost();
+            controller.setKeyMap('tizen');
+            controller.getKeyMap().registerPlatformKeys(host);
+
+            var event = createKeyEvent({key: 'ArrowRight', keyCode: 39});
+            controller.onKeyDown(event);
+            controller.onKeyUp(createKeyEvent({key: 'ArrowRight', keyCode: 39}));
+
+            assert.isTrue(event.defaultPrevented);
+            assert.equal(controller.getCurrentlyFocusedItem(), items[1]);
+        });
+
+        it('calls the callbacks bound to an action', function () {
+            var keyMap = new KeyMap('tizen');
+            var calls = [];
+            keyMap.bindAction(KeyMap.RED, function (event) {
+                calls.push(event);
+            });
+            controller.setKeyMap(keyMap);
+
+            var event = createKeyEvent({keyCode: 403});
+            controller.onKeyDown(event);
+
+            assert.lengthOf(calls, 1);
+            assert.equal(calls[0], event);
+            assert.isTrue(event.defaultPrevented);
+        });
+
+        it('leaves keys without an action alone', function () {
+            var event = createKeyEvent({key: 'q'});
+            controller.onKeyDown(event);
+
+            assert.isFalse(event.defaultPrevented);
+            assert.equal(controller.getCurrentlyFocusedItem(), items[0]);
+        });
+
+        it('ignores keys while another controller is active', function () {
+            var other = new FocusController({active: true});
+            controller.onKeyDown(createKeyEvent({key: 'ArrowRight'}));
+            other.destroy();
+
+            assert.equal(controller.getCurrentlyFocusedItem(), items[0]);
+        });
+    });
+})();